@@ -1,10 +1,13 @@
-import { useState, useEffect, useCallback, createContext, useContext } from 'react'
+import { useState, useEffect, useCallback, useRef, createContext, useContext } from 'react'
 import { BrowserRouter, Routes, Route, Link, useLocation } from 'react-router-dom'
+import { useQuery, useQueryClient } from '@tanstack/react-query'
 import { ethers } from 'ethers'
 import { io } from 'socket.io-client'
 import { MapContainer, TileLayer, Marker, Popup, Circle } from 'react-leaflet'
 import L from 'leaflet'
 import 'leaflet/dist/leaflet.css'
+import { ERROR_CATEGORIES, contractQueries, decodeContractError, watchContractErrors, watchContractEvents, setTransactionConfirmer, useWallet, useTransactions, useKAIToken, useRevenue, useStaking, useGovernance, useVesting, useLawEvidence, useAgriculture, useHealth, useDisasterResponse, useOracle } from './hooks/useContracts'
+import { NETWORKS, DEFAULT_NETWORK, ORACLE_RISK_TYPES, ORACLE_RISK_LEVEL_MAX, ORACLE_REGIONS, getContractConfig, getTxExplorerUrl, getNetworkIdByChainId, isContractDeployed } from './contracts/config'
 import './App.css'
 
 // Fix Leaflet default marker icons
@@ -309,10 +312,16 @@ function ActivityFeed({ activities }) {
           <div className="no-activity">No recent activity</div>
         ) : (
           activities.map((activity, i) => (
-            <div key={i} className={`feed-item ${activity.type}`}>
+            <div key={activity.id || i} className={`feed-item ${activity.type}`}>
               <span className="feed-icon">{activity.icon}</span>
               <div className="feed-content">
-                <span className="feed-text">{activity.text}</span>
+                {activity.link ? (
+                  <a href={activity.link} target="_blank" rel="noopener noreferrer" className="feed-text feed-link">
+                    {activity.text} ↗
+                  </a>
+                ) : (
+                  <span className="feed-text">{activity.text}</span>
+                )}
                 <span className="feed-time">{activity.time}</span>
               </div>
             </div>
@@ -467,9 +476,88 @@ function AfricaSVG() {
   )
 }
 
+// Map risk layers, keyed by KAI_Oracle riskType id
+const RISK_TYPES = [
+  { id: ORACLE_RISK_TYPES.flood, label: 'Flood', icon: '🌊' },
+  { id: ORACLE_RISK_TYPES.drought, label: 'Drought', icon: '☀️' },
+  { id: ORACLE_RISK_TYPES.cyclone, label: 'Cyclone', icon: '🌀' },
+  { id: ORACLE_RISK_TYPES.heatwave, label: 'Heatwave', icon: '🔥' },
+  { id: ORACLE_RISK_TYPES.disease, label: 'Disease', icon: '🦠' },
+]
+const RISK_TYPE_IDS = RISK_TYPES.map(t => t.id)
+
+// Oracle levels are bucketed into quarters of the scale, like alert risk scores
+const RISK_LEVEL_COLORS = ['#10b981', '#84cc16', '#f59e0b', '#ef4444']
+const getRiskBucket = (level) =>
+  Math.min(RISK_LEVEL_COLORS.length - 1, Math.floor((level || 0) * RISK_LEVEL_COLORS.length / ORACLE_RISK_LEVEL_MAX))
+
+// On-chain oracle risk levels for the given map region ids on the read network,
+// refetched on oracle events. Region ids are looked up in ORACLE_REGIONS; results
+// are keyed by region id
+const useOracleRiskMap = (regionIds) => {
+  const { watchOracle } = useOracle()
+  const { readNetworkId } = useWallet()
+  const oracleDeployed = isContractDeployed('KAI_Oracle', readNetworkId)
+  const { data: levels } = useQuery({
+    ...contractQueries.riskLevels(readNetworkId, regionIds.map(id => ORACLE_REGIONS[id]), RISK_TYPE_IDS),
+    enabled: oracleDeployed
+  })
+
+  useEffect(() => {
+    if (!oracleDeployed) return
+    let active = true
+    let unsubscribe = () => {}
+
+    watchOracle().then(stop => {
+      if (active) unsubscribe = stop
+      else stop()
+    })
+
+    return () => {
+      active = false
+      unsubscribe()
+    }
+  }, [oracleDeployed, readNetworkId, watchOracle])
+
+  if (!levels) return {}
+  return Object.fromEntries(regionIds.map(id => [id, levels[ORACLE_REGIONS[id]]]))
+}
+
+// Risk layer selector shared by the regional maps
+function RiskLayerControls({ layer, onChange }) {
+  const { networkId } = useWallet()
+  const activeNetwork = networkId || DEFAULT_NETWORK
+  const oracleDeployed = isContractDeployed('KAI_Oracle', activeNetwork)
+
+  return (
+    <div className="map-controls risk-layer-controls">
+      <button
+        className={`map-mode-btn ${layer === 'alerts' ? 'active' : ''}`}
+        onClick={() => onChange('alerts')}
+      >
+        ALERTS
+      </button>
+      {RISK_TYPES.map(type => (
+        <button
+          key={type.id}
+          className={`map-mode-btn ${layer === type.id ? 'active' : ''}`}
+          onClick={() => onChange(type.id)}
+          disabled={!oracleDeployed}
+          title={oracleDeployed
+            ? `${type.label} risk (KAI Oracle)`
+            : `KAI Oracle is not deployed on ${NETWORKS[activeNetwork].name}`}
+        >
+          {type.icon} {type.label.toUpperCase()}
+        </button>
+      ))}
+    </div>
+  )
+}
+
 // Regional Map Component
 function RegionalMap({ alerts }) {
   const [hoveredRegion, setHoveredRegion] = useState(null)
+  const [riskLayer, setRiskLayer] = useState('alerts')
 
   const regions = [
     { id: 'east', name: 'East Africa', coords: { top: '38%', left: '72%' }, countries: 'Kenya, Tanzania, Uganda, Ethiopia' },
@@ -479,12 +567,22 @@ function RegionalMap({ alerts }) {
     { id: 'central', name: 'Central Africa', coords: { top: '55%', left: '48%' }, countries: 'DRC, Cameroon, Congo, CAR' },
   ]
 
+  const riskMap = useOracleRiskMap(regions.map(r => r.id))
+
   const regionAlerts = regions.map(r => ({
     ...r,
-    alerts: alerts?.filter(a => a.region?.toLowerCase().includes(r.id))?.length || 0
+    alerts: alerts?.filter(a => a.region?.toLowerCase().includes(r.id))?.length || 0,
+    riskLevel: riskMap[r.id]?.levels[riskLayer],
+    highRisk: riskMap[r.id]?.highRisk || false
   }))
 
   const totalAlerts = regionAlerts.reduce((sum, r) => sum + r.alerts, 0)
+  const oracleLayer = riskLayer !== 'alerts'
+
+  // Marker severity: alert counts by default, oracle level buckets on a risk layer
+  const markerClass = (region) => oracleLayer
+    ? `${getRiskBucket(region.riskLevel) >= 2 ? 'has-alerts' : ''} ${getRiskBucket(region.riskLevel) >= 3 || region.highRisk ? 'critical' : ''}`
+    : `${region.alerts > 0 ? 'has-alerts' : ''} ${region.alerts >= 3 ? 'critical' : ''}`
 
   return (
     <div className="regional-map">
@@ -496,13 +594,14 @@ function RegionalMap({ alerts }) {
           <span className="legend-item"><span className="legend-dot danger"></span>Critical</span>
         </div>
       </div>
+      <RiskLayerControls layer={riskLayer} onChange={setRiskLayer} />
       <div className="map-container">
         <div className="africa-outline">
           <AfricaSVG />
           {regionAlerts.map(region => (
             <div
               key={region.id}
-              className={`region-marker ${region.alerts > 0 ? 'has-alerts' : ''} ${region.alerts >= 3 ? 'critical' : ''}`}
+              className={`region-marker ${markerClass(region)}`}
               style={{ top: region.coords.top, left: region.coords.left }}
               onMouseEnter={() => setHoveredRegion(region.id)}
               onMouseLeave={() => setHoveredRegion(null)}
@@ -517,6 +616,11 @@ function RegionalMap({ alerts }) {
                   <span className={`tooltip-alerts ${region.alerts > 0 ? 'active' : ''}`}>
                     {region.alerts > 0 ? `${region.alerts} active alerts` : 'No alerts'}
                   </span>
+                  {oracleLayer && (
+                    <span className={`tooltip-alerts ${region.highRisk ? 'active' : ''}`}>
+                      Oracle risk: {region.riskLevel ?? '—'}{region.highRisk ? ' (high risk)' : ''}
+                    </span>
+                  )}
                 </div>
               )}
             </div>
@@ -541,9 +645,18 @@ function RegionalMap({ alerts }) {
                 <span className="region-name">{r.name}</span>
                 <span className="region-countries">{r.countries}</span>
               </div>
-              <span className={`region-alert-badge ${r.alerts > 0 ? 'danger' : 'safe'}`}>
-                {r.alerts > 0 ? r.alerts : '✓'}
-              </span>
+              {oracleLayer ? (
+                <span
+                  className="region-alert-badge oracle-level"
+                  style={{ '--risk-color': RISK_LEVEL_COLORS[getRiskBucket(r.riskLevel)] }}
+                >
+                  {r.riskLevel ?? '—'}
+                </span>
+              ) : (
+                <span className={`region-alert-badge ${r.alerts > 0 ? 'danger' : 'safe'}`}>
+                  {r.alerts > 0 ? r.alerts : '✓'}
+                </span>
+              )}
             </div>
           ))}
         </div>
@@ -556,6 +669,7 @@ function RegionalMap({ alerts }) {
 // Interactive map showing KAI network nodes across African regions
 function AdvancedRegionalMap({ alerts, pillars }) {
   const [mapMode, setMapMode] = useState('heat') // heat, nodes, flow
+  const [riskLayer, setRiskLayer] = useState('alerts') // alerts or an oracle risk type id
 
   // African cities/nodes with real coordinates
   const nodes = [
@@ -585,12 +699,19 @@ function AdvancedRegionalMap({ alerts, pillars }) {
     south: { color: '#ec4899', label: 'Southern Africa', nodes: 11 }
   }
 
+  const riskMap = useOracleRiskMap(Object.keys(regions))
+  const oracleLayer = riskLayer !== 'alerts'
+
   const getAlertCount = (region) => alerts?.filter(a => a.region?.toLowerCase().includes(region))?.length || 0
   const getPillarHealth = () => pillars?.filter(p => p.status === 'active')?.length || 0
+  const getOracleRisk = (region) => riskMap[region]
+  const getRiskColor = (region) => RISK_LEVEL_COLORS[getRiskBucket(getOracleRisk(region)?.levels[riskLayer])]
 
   // Custom marker icon
   const createNodeIcon = (region, hasAlert) => {
-    const color = hasAlert ? '#ef4444' : regions[region]?.color || '#10b981'
+    const color = oracleLayer
+      ? getRiskColor(region)
+      : hasAlert ? '#ef4444' : regions[region]?.color || '#10b981'
     return L.divIcon({
       className: 'custom-node-marker',
       html: `<div style="
@@ -648,7 +769,8 @@ function AdvancedRegionalMap({ alerts, pillars }) {
           {/* Node markers */}
           {nodes.map(node => {
             const alertCount = getAlertCount(node.region)
-            const hasAlert = alertCount > 0
+            const hasAlert = oracleLayer ? !!getOracleRisk(node.region)?.highRisk : alertCount > 0
+            const oracleRisk = getOracleRisk(node.region)
             return (
               <Marker
                 key={node.id}
@@ -662,11 +784,20 @@ function AdvancedRegionalMap({ alerts, pillars }) {
                     <span style={{ color: '#888' }}>{node.country}</span>
                     <br />
                     <span style={{
-                      color: hasAlert ? '#ef4444' : '#10b981',
+                      color: alertCount > 0 ? '#ef4444' : '#10b981',
                       fontSize: '0.8rem'
                     }}>
-                      {hasAlert ? `${alertCount} Active Alert${alertCount > 1 ? 's' : ''}` : '✓ All Clear'}
+                      {alertCount > 0 ? `${alertCount} Active Alert${alertCount > 1 ? 's' : ''}` : '✓ All Clear'}
                     </span>
+                    {oracleRisk && (
+                      <>
+                        <br />
+                        <span style={{ color: oracleRisk.highRisk ? '#ef4444' : '#888', fontSize: '0.75rem' }}>
+                          {RISK_TYPES.map(t => `${t.icon} ${oracleRisk.levels[t.id]}`).join('  ')}
+                          {oracleRisk.highRisk && ' · HIGH RISK'}
+                        </span>
+                      </>
+                    )}
                   </div>
                 </Popup>
               </Marker>
@@ -676,14 +807,20 @@ function AdvancedRegionalMap({ alerts, pillars }) {
           {/* Heat circles for heat mode */}
           {mapMode === 'heat' && nodes.map(node => {
             const alertCount = getAlertCount(node.region)
+            const riskLevel = getOracleRisk(node.region)?.levels[riskLayer] || 0
+            const color = oracleLayer
+              ? getRiskColor(node.region)
+              : alertCount > 0 ? '#ef4444' : regions[node.region]?.color || '#10b981'
             return (
               <Circle
                 key={`heat-${node.id}`}
                 center={[node.lat, node.lng]}
-                radius={alertCount > 0 ? 200000 + alertCount * 100000 : 150000}
+                radius={oracleLayer
+                  ? 150000 + riskLevel * 3000
+                  : alertCount > 0 ? 200000 + alertCount * 100000 : 150000}
                 pathOptions={{
-                  color: alertCount > 0 ? '#ef4444' : regions[node.region]?.color || '#10b981',
-                  fillColor: alertCount > 0 ? '#ef4444' : regions[node.region]?.color || '#10b981',
+                  color,
+                  fillColor: color,
                   fillOpacity: 0.3,
                   weight: 1,
                 }}
@@ -693,6 +830,9 @@ function AdvancedRegionalMap({ alerts, pillars }) {
         </MapContainer>
       </div>
 
+      {/* Oracle risk layer */}
+      <RiskLayerControls layer={riskLayer} onChange={setRiskLayer} />
+
       {/* Region stats bar */}
       <div className="region-stats-bar">
         {Object.entries(regions).map(([id, region]) => (
@@ -700,9 +840,18 @@ function AdvancedRegionalMap({ alerts, pillars }) {
             <span className="region-dot"></span>
             <span className="region-label">{region.label}</span>
             <span className="region-nodes">{region.nodes} nodes</span>
-            <span className={`region-alert-count ${getAlertCount(id) > 0 ? 'active' : ''}`}>
-              {getAlertCount(id) || '✓'}
-            </span>
+            {oracleLayer ? (
+              <span
+                className="region-alert-count oracle-level"
+                style={{ '--risk-color': getRiskColor(id) }}
+              >
+                {getOracleRisk(id)?.levels[riskLayer] ?? '—'}
+              </span>
+            ) : (
+              <span className={`region-alert-count ${getAlertCount(id) > 0 ? 'active' : ''}`}>
+                {getAlertCount(id) || '✓'}
+              </span>
+            )}
           </div>
         ))}
       </div>
@@ -1852,6 +2001,44 @@ function LiveNewsFeed() {
   )
 }
 
+// Activity feed entries for contract events: [icon, type, text]. `kai` formats
+// KAIToken amounts and `currency` is the event network's native currency symbol;
+// events mapped to null (approvals) are not shown.
+const CONTRACT_ACTIVITY = {
+  Transfer: (a, kai) => ['💸', 'info', `${kai(a.value)} KAI ${shortAddress(a.from)} → ${shortAddress(a.to)}`],
+  Approval: () => null,
+  PillarBurn: (a, kai) => ['🔥', 'info', `${kai(a.amount)} KAI burned for ${PILLARS_CONFIG[Number(a.pillarId)]?.name || `pillar ${a.pillarId}`}`],
+  RevenueCollected: (a, kai) => ['💰', 'success', `Revenue collected: ${kai(a.amount)} KAI`],
+  SubscriptionCreated: (a) => ['⭐', 'success', `${shortAddress(a.user)} subscribed to alerts`],
+  ProposalCreated: (a) => ['🏛️', 'info', `Proposal #${a.proposalId}: ${a.title}`],
+  VoteCast: (a, kai) => ['🗳️', 'info', `${shortAddress(a.voter)} voted ${a.support ? 'for' : 'against'} #${a.proposalId} (${kai(a.weight)} KAI)`],
+  ProposalExecuted: (a) => ['✅', 'success', `Proposal #${a.proposalId} executed`],
+  DelegateChanged: (a) => ['🤝', 'info', a.toDelegate === ethers.ZeroAddress
+    ? `${shortAddress(a.delegator)} undelegated votes`
+    : `${shortAddress(a.delegator)} delegated votes to ${shortAddress(a.toDelegate)}`],
+  Staked: (a, kai) => ['🔒', 'info', `${shortAddress(a.user)} staked ${kai(a.amount)} KAI`],
+  Unstaked: (a, kai) => ['🔓', 'info', `${shortAddress(a.user)} unstaked ${kai(a.amount)} KAI`],
+  RewardsClaimed: (a, kai) => ['🎁', 'success', `${shortAddress(a.user)} claimed ${kai(a.amount)} KAI rewards`],
+  DataUpdated: (a) => ['📡', 'info', `Oracle ${RISK_TYPES.find(t => t.id === Number(a.riskType))?.label || 'risk'} level set to ${a.level}`],
+  AlertTriggered: (a) => ['🚨', 'alert', `Oracle alert triggered (severity ${a.severity})`],
+  InspectionRequested: (a) => ['🏥', 'info', `Inspection #${a.id} requested for ${a.facilityName}`],
+  InspectionCompleted: (a) => ['🏥', a.passed ? 'success' : 'warning', `Inspection #${a.id} ${a.passed ? 'passed' : 'failed'}`],
+  FacilityCertified: (a) => ['📜', 'success', `Facility certified for inspection #${a.id}`],
+  PolicyCreated: (a) => ['🌾', 'info', `${a.cropType} policy #${a.policyId} created`],
+  ClaimFiled: (a) => ['🌾', 'warning', `Claim filed on policy #${a.policyId}`],
+  ClaimPaid: (a, kai, currency) => ['🌾', 'success', `Policy #${a.policyId} paid ${ethers.formatEther(a.amount)} ${currency}`],
+  EvidenceSubmitted: (a) => ['⚖️', 'info', `Evidence registered by ${shortAddress(a.submitter)}`],
+  EvidenceVerified: () => ['⚖️', 'success', 'Evidence verified'],
+  IncidentReported: (a) => ['🚨', 'alert', `${DISASTER_TYPES[Number(a.disasterType)] || 'Incident'} reported in ${a.location}`],
+  AidRequested: (a, kai) => ['🆘', 'warning', `Aid requested for incident #${a.incidentId}: ${kai(a.amount)} KAI`],
+  AidDisbursed: (a, kai) => ['🤝', 'success', `${kai(a.amount)} KAI disbursed for incident #${a.incidentId}`],
+  VestingScheduleCreated: (a, kai) => ['📅', 'info', `Vesting schedule of ${kai(a.amount)} KAI for ${shortAddress(a.beneficiary)}`],
+  TokensReleased: (a, kai) => ['🔓', 'info', `${kai(a.amount)} KAI released to ${shortAddress(a.beneficiary)}`]
+}
+
+// Contract events remembered for deduplicating the Dashboard feed
+const SEEN_EVENTS_LIMIT = 1000
+
 // Dashboard
 function Dashboard() {
   const { addNotification } = useApp()
@@ -1862,6 +2049,10 @@ function Dashboard() {
   const [connectedClients, setConnectedClients] = useState(0)
   const [wsConnected, setWsConnected] = useState(false)
   const [alerts, setAlerts] = useState([])
+  const { networkId } = useWallet()
+  // Latest contract events seen, by tx hash and log index. Bounded, but far wider
+  // than the feed so logs replayed on reconnect or reorg stay deduplicated
+  const seenEvents = useRef(new Set())
 
   // 7 Pillars status data (for control panel and map)
   // Balanced arrangement: Structure → People → Tech/Crisis/Environment → People → Structure
@@ -1931,6 +2122,47 @@ function Dashboard() {
     }
   }, [addNotification])
 
+  // Live events from the configured contracts on the wallet's network
+  useEffect(() => {
+    let active = true
+    let unsubscribe = () => {}
+
+    watchContractEvents((event, decimals) => {
+      const key = `${event.transactionHash}:${event.index}`
+      if (seenEvents.current.has(key)) return
+      seenEvents.current.add(key)
+      if (seenEvents.current.size > SEEN_EVENTS_LIMIT) {
+        seenEvents.current.delete(seenEvents.current.values().next().value)
+      }
+
+      const kai = (value) => parseFloat(ethers.formatUnits(value, decimals)).toLocaleString()
+      const describe = CONTRACT_ACTIVITY[event.eventName]
+      const entry = describe ? describe(event.args, kai, NETWORKS[event.networkId].currency.symbol) : ['⛓️', 'info', `${event.contract}: ${event.eventName}`]
+      if (!entry) return
+
+      const [icon, type, text] = entry
+      setActivities(prev => [{
+        id: key,
+        icon,
+        text,
+        type,
+        link: getTxExplorerUrl(event.transactionHash, event.networkId),
+        time: new Date().toLocaleTimeString()
+      }, ...prev.slice(0, 9)])
+    })
+      .then(stop => {
+        if (active) unsubscribe = stop
+        else stop()
+      })
+      // Without an event stream the feed keeps showing backend activity
+      .catch(() => {})
+
+    return () => {
+      active = false
+      unsubscribe()
+    }
+  }, [networkId])
+
   const fetchData = useCallback(async () => {
     try {
       const [health, token, stats, alertsData] = await Promise.all([
@@ -2280,9 +2512,15 @@ function Contracts() {
   )
 }
 
+// On-chain disaster type ids for KaiDisasterResponse, in the order of the alert form
+const DISASTER_TYPES = ['flood', 'drought', 'cyclone', 'earthquake', 'wildfire', 'locusts', 'disease']
+
 // Alerts Page
 function Alerts() {
   const { addNotification } = useApp()
+  const { isConnected, connect, isConnecting, readNetworkId } = useWallet()
+  const disasterDeployed = isContractDeployed('KaiDisasterResponse', readNetworkId)
+  const disaster = useDisasterResponse()
   const [alerts, setAlerts] = useState([])
   const [loading, setLoading] = useState(true)
   const [submitting, setSubmitting] = useState(false)
@@ -2292,11 +2530,38 @@ function Alerts() {
     region: '',
     riskScore: 50
   })
+  const [reportOnChain, setReportOnChain] = useState(false)
+  // Backend alert whose on-chain report failed or was rejected, kept for a retry
+  const [unreportedAlert, setUnreportedAlert] = useState(null)
+  const [reporting, setReporting] = useState(false)
+  const [aidForm, setAidForm] = useState(null)
+  const [requestingAid, setRequestingAid] = useState(false)
 
   useEffect(() => {
     api.getAlerts().then(setAlerts).finally(() => setLoading(false))
   }, [])
 
+  // On-chain incidents and the emergency fund they draw on
+  const fundQuery = useQuery({ ...contractQueries.emergencyFund(readNetworkId), enabled: disasterDeployed })
+  const incidentsQuery = useQuery({ ...contractQueries.incidents(readNetworkId), enabled: disasterDeployed })
+  const emergencyFund = fundQuery.data ?? null
+  const incidents = [...(incidentsQuery.data ?? [])].reverse()
+
+  // Mirror an alert on-chain with the same type, location and severity
+  const reportAlertOnChain = async (alert) => {
+    const region = sanitizeInput(alert.region)
+    const result = await disaster.reportIncident(
+      DISASTER_TYPES.indexOf(alert.disasterType),
+      region,
+      alert.riskScore,
+      `${alert.disasterType} alert for ${region}`
+    )
+    if (result) {
+      addNotification('Incident report submitted on-chain', NOTIFICATION_TYPES.INFO)
+    }
+    return !!result
+  }
+
   const handleSubmit = async (e) => {
     e.preventDefault()
     if (!newAlert.region.trim()) {
@@ -2314,9 +2579,16 @@ function Alerts() {
         playAlertSound()
       }
 
+      // Report on-chain only once the backend has accepted the alert. A failed
+      // report is offered as a retry, so the alert is not created twice
+      if (reportOnChain && disasterDeployed && !(await reportAlertOnChain(newAlert))) {
+        setUnreportedAlert(newAlert)
+        addNotification('Alert created, but the on-chain report did not go through', NOTIFICATION_TYPES.WARNING)
+      }
+
+      setNewAlert({ disasterType: 'flood', region: '', riskScore: 50 })
       const updated = await api.getAlerts()
       setAlerts(updated)
-      setNewAlert({ disasterType: 'flood', region: '', riskScore: 50 })
     } catch (err) {
       addNotification('Failed to create alert', NOTIFICATION_TYPES.ERROR)
     } finally {
@@ -2324,6 +2596,27 @@ function Alerts() {
     }
   }
 
+  const retryOnChainReport = async () => {
+    setReporting(true)
+    if (await reportAlertOnChain(unreportedAlert)) setUnreportedAlert(null)
+    setReporting(false)
+  }
+
+  const handleRequestAid = async () => {
+    if (!(parseFloat(aidForm.amount) > 0) || !aidForm.reason.trim()) {
+      addNotification('Aid amount and reason are required', NOTIFICATION_TYPES.WARNING)
+      return
+    }
+
+    setRequestingAid(true)
+    const txHash = await disaster.requestAid(aidForm.incidentId, aidForm.amount, sanitizeInput(aidForm.reason))
+    if (txHash) {
+      addNotification(`Aid request for incident #${aidForm.incidentId} submitted`, NOTIFICATION_TYPES.INFO)
+      setAidForm(null)
+    }
+    setRequestingAid(false)
+  }
+
   const playAlertSound = () => {
     const audio = new Audio('data:audio/wav;base64,UklGRnoGAABXQVZFZm10IBAAAAABAAEAQB8AAEAfAAABAAgAZGF0YQoGAACBhYqFbF1fdJivrJBhNjVgodDbq2EcBj+a2teleDoIR7HM6GZVHwBAnr/NjGQ5ER1uyNb/qVYYCjmm0eOPXyoEK4LB35RdMg0fbcbl+qpaDhE5rtTxoWE5EDmOy+yZVjIHHW3L5P2sWRALMKXQ7p9fNQ0zkMrpmVY0Byh0ye')
     audio.volume = 0.3
@@ -2393,6 +2686,33 @@ function Alerts() {
             {submitting ? 'Creating...' : '🚨 Issue Alert'}
           </button>
         </div>
+        <label className="onchain-toggle">
+          <input
+            type="checkbox"
+            checked={reportOnChain && disasterDeployed}
+            disabled={!isConnected || !disasterDeployed}
+            onChange={(e) => setReportOnChain(e.target.checked)}
+          />
+          <span>Also report as an on-chain incident (KaiDisasterResponse)</span>
+          {!isConnected && (
+            <button type="button" onClick={() => connect()} disabled={isConnecting} className="check-btn">
+              {isConnecting ? 'Connecting...' : 'Connect Wallet'}
+            </button>
+          )}
+        </label>
+        {unreportedAlert && (
+          <div className="onchain-retry">
+            <span className="form-hint warning">
+              The {unreportedAlert.disasterType} alert for {unreportedAlert.region} was not reported on-chain
+            </span>
+            <button type="button" onClick={retryOnChainReport} disabled={reporting || !isConnected} className="check-btn">
+              {reporting ? 'Reporting...' : 'Retry On-Chain Report'}
+            </button>
+            <button type="button" onClick={() => setUnreportedAlert(null)} disabled={reporting} className="vote-btn">
+              Dismiss
+            </button>
+          </div>
+        )}
       </form>
 
       <div className="alerts-section">
@@ -2446,6 +2766,97 @@ function Alerts() {
           </div>
         )}
       </div>
+
+      <div className="alerts-section">
+        <div className="section-header">
+          <h3>On-Chain Incidents</h3>
+          {fundQuery.isError ? (
+            <span className="stat-pill total">Emergency Fund unavailable</span>
+          ) : emergencyFund !== null && (
+            <span className="stat-pill total">Emergency Fund {parseFloat(emergencyFund).toLocaleString()} KAI</span>
+          )}
+        </div>
+
+        {readNetworkId && !disasterDeployed ? (
+          <NotDeployed contracts={['KaiDisasterResponse']} networkId={readNetworkId} />
+        ) : incidentsQuery.isError ? (
+          <ReadError label="Incidents" error={incidentsQuery.error} />
+        ) : incidentsQuery.isPending ? (
+          <div className="no-activity">Indexing incidents...</div>
+        ) : incidents.length === 0 ? (
+          <div className="empty-state">
+            <span className="empty-icon">⛓️</span>
+            <p>No incidents reported on-chain</p>
+          </div>
+        ) : (
+          <div className="alerts-grid">
+            {incidents.map(incident => {
+              const disbursed = incident.disbursements.reduce((sum, d) => sum + parseFloat(d.amount), 0)
+              return (
+                <div key={incident.id} className={`alert-card risk-level-${Math.min(3, Math.floor(incident.severity / 25))}`}>
+                  <div className="alert-header">
+                    <span className="alert-type-badge">
+                      #{incident.id} {DISASTER_TYPES[incident.disasterType] || 'incident'}
+                    </span>
+                    <span className="risk-badge">{incident.severity}%</span>
+                  </div>
+                  <div className="alert-body">
+                    <h4>{incident.location}</h4>
+                    <p className="form-hint">
+                      {incident.aidRequests.length} aid requests · {disbursed.toLocaleString()} KAI disbursed
+                    </p>
+                  </div>
+                  {incident.disbursements.length > 0 && (
+                    <div className="aid-history">
+                      {incident.disbursements.map(d => (
+                        <div key={d.txHash} className="aid-entry">
+                          <span>{shortAddress(d.account)}</span>
+                          <span>{parseFloat(d.amount).toLocaleString()} KAI</span>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                  {aidForm?.incidentId === incident.id ? (
+                    <div className="tx-form policy-claim">
+                      <input
+                        type="number"
+                        min="0"
+                        step="any"
+                        placeholder="Amount (KAI)"
+                        value={aidForm.amount}
+                        onChange={(e) => setAidForm({ ...aidForm, amount: e.target.value })}
+                        className="address-input"
+                      />
+                      <input
+                        type="text"
+                        placeholder="Reason"
+                        value={aidForm.reason}
+                        onChange={(e) => setAidForm({ ...aidForm, reason: e.target.value })}
+                        maxLength={200}
+                        className="address-input"
+                      />
+                      <div className="proposal-actions">
+                        <button onClick={handleRequestAid} disabled={requestingAid} className="vote-btn execute">
+                          {requestingAid ? 'Requesting...' : 'Request Aid'}
+                        </button>
+                        <button onClick={() => setAidForm(null)} disabled={requestingAid} className="vote-btn">Cancel</button>
+                      </div>
+                    </div>
+                  ) : (
+                    <button
+                      onClick={() => setAidForm({ incidentId: incident.id, amount: '', reason: '' })}
+                      disabled={!isConnected}
+                      className="vote-btn policy-claim"
+                    >
+                      Request Aid
+                    </button>
+                  )}
+                </div>
+              )
+            })}
+          </div>
+        )}
+      </div>
     </div>
   )
 }
@@ -2453,28 +2864,45 @@ function Alerts() {
 // Wallet Page
 function Wallet() {
   const { addNotification } = useApp()
+  const { account, readNetworkId, wallets, walletName, walletRdns, connect, isConnecting } = useWallet()
+  const token = useKAIToken()
+  const queryClient = useQueryClient()
   const [address, setAddress] = useState('')
   const [balance, setBalance] = useState(null)
-  const [connected, setConnected] = useState(false)
   const [loading, setLoading] = useState(false)
+  const [transferForm, setTransferForm] = useState({ to: '', amount: '' })
+  const [pendingTransfer, setPendingTransfer] = useState(null)
+  const [approvalForm, setApprovalForm] = useState({ spender: '', amount: '' })
+  const [allowanceSpender, setAllowanceSpender] = useState(null)
+  const [txPending, setTxPending] = useState(false)
+  const [lastTx, setLastTx] = useState(null)
+  const transfersQuery = useQuery({ ...contractQueries.transferHistory(readNetworkId, account), enabled: !!readNetworkId && !!account })
+  const decimalsQuery = useQuery({ ...contractQueries.decimals(readNetworkId), enabled: !!readNetworkId && !!account })
+  // Allowance for the checked spender - a confirmed approval invalidates it
+  const allowanceQuery = useQuery({
+    ...contractQueries.allowance(readNetworkId, account, allowanceSpender),
+    enabled: !!readNetworkId && !!account && !!allowanceSpender
+  })
+  const currentAllowance = allowanceSpender ? allowanceQuery.data ?? null : null
+  const transfers = [...(transfersQuery.data ?? [])].reverse().slice(0, 10)
 
-  const connectWallet = async () => {
-    if (typeof window.ethereum === 'undefined') {
-      addNotification('Please install MetaMask', NOTIFICATION_TYPES.WARNING)
+  const connectWallet = async (rdns) => {
+    if (wallets.length === 0) {
+      addNotification('No wallet found. Install a browser wallet such as MetaMask, Trust, Coinbase or Brave Wallet', NOTIFICATION_TYPES.WARNING)
       return
     }
 
+    const connectedAccount = await connect(rdns)
+    if (!connectedAccount) return
+
     try {
       setLoading(true)
-      const accounts = await window.ethereum.request({ method: 'eth_requestAccounts' })
-      setAddress(accounts[0])
-      setConnected(true)
-
-      const bal = await api.getBalance(accounts[0])
+      setAddress(connectedAccount)
+      const bal = await api.getBalance(connectedAccount)
       setBalance(bal)
       addNotification('Wallet connected!', NOTIFICATION_TYPES.SUCCESS)
-    } catch (err) {
-      addNotification('Failed to connect wallet', NOTIFICATION_TYPES.ERROR)
+    } catch {
+      addNotification('Failed to load balance', NOTIFICATION_TYPES.ERROR)
     } finally {
       setLoading(false)
     }
@@ -2497,6 +2925,88 @@ function Wallet() {
     }
   }
 
+  // Validate the recipient and check the amount against the live on-chain balance
+  const reviewTransfer = async () => {
+    if (!ethers.isAddress(transferForm.to)) {
+      addNotification('Invalid recipient address', NOTIFICATION_TYPES.WARNING)
+      return
+    }
+    const decimals = decimalsQuery.data
+    if (decimals === undefined) {
+      addNotification('KAI token details are still loading', NOTIFICATION_TYPES.WARNING)
+      return
+    }
+    const amount = toUnits(transferForm.amount, decimals)
+    if (!amount || amount <= 0n) {
+      addNotification('Enter an amount to send', NOTIFICATION_TYPES.WARNING)
+      return
+    }
+
+    // Always a fresh read - a cached balance may predate a recent transfer
+    setTxPending(true)
+    let onChainBalance
+    try {
+      onChainBalance = await queryClient.fetchQuery({ ...contractQueries.balance(readNetworkId, account), staleTime: 0 })
+    } catch {
+      addNotification('Could not read your KAI balance. Try again', NOTIFICATION_TYPES.ERROR)
+      return
+    } finally {
+      setTxPending(false)
+    }
+
+    const balance = toUnits(onChainBalance, decimals)
+    if (amount > balance) {
+      addNotification(`Amount exceeds your balance of ${parseFloat(onChainBalance).toLocaleString()} KAI`, NOTIFICATION_TYPES.WARNING)
+      return
+    }
+
+    setPendingTransfer({
+      to: ethers.getAddress(transferForm.to),
+      amount: transferForm.amount,
+      remaining: ethers.formatUnits(balance - amount, decimals)
+    })
+  }
+
+  const sendTransfer = async () => {
+    setTxPending(true)
+    const txHash = await token.transfer(pendingTransfer.to, pendingTransfer.amount)
+    if (txHash) {
+      setLastTx({ label: `Sent ${pendingTransfer.amount} KAI`, hash: txHash })
+      addNotification('Transfer submitted', NOTIFICATION_TYPES.INFO)
+      setTransferForm({ to: '', amount: '' })
+    }
+    setPendingTransfer(null)
+    setTxPending(false)
+  }
+
+  const checkAllowance = () => {
+    if (!ethers.isAddress(approvalForm.spender)) {
+      addNotification('Invalid spender address', NOTIFICATION_TYPES.WARNING)
+      return
+    }
+    setAllowanceSpender(ethers.getAddress(approvalForm.spender))
+  }
+
+  const submitApproval = async (amount) => {
+    if (!ethers.isAddress(approvalForm.spender)) {
+      addNotification('Invalid spender address', NOTIFICATION_TYPES.WARNING)
+      return
+    }
+    if (amount === '' || !(parseFloat(amount) >= 0)) {
+      addNotification('Enter an allowance amount', NOTIFICATION_TYPES.WARNING)
+      return
+    }
+
+    setTxPending(true)
+    const txHash = await token.approve(ethers.getAddress(approvalForm.spender), amount)
+    if (txHash) {
+      setLastTx({ label: `Approved ${amount} KAI for ${shortAddress(approvalForm.spender)}`, hash: txHash })
+      addNotification(parseFloat(amount) === 0 ? 'Approval revocation submitted' : 'Approval submitted', NOTIFICATION_TYPES.INFO)
+      setAllowanceSpender(ethers.getAddress(approvalForm.spender))
+    }
+    setTxPending(false)
+  }
+
   return (
     <div className="wallet-page">
       <div className="page-header">
@@ -2506,13 +3016,28 @@ function Wallet() {
       <div className="wallet-grid">
         <div className="wallet-card connect-card">
           <h3>Connect Wallet</h3>
-          <button
-            onClick={connectWallet}
-            disabled={connected || loading}
-            className={`connect-btn ${connected ? 'connected' : ''}`}
-          >
-            {loading ? 'Connecting...' : connected ? '✓ Connected' : 'Connect MetaMask'}
-          </button>
+          {wallets.length === 0 ? (
+            <div className="no-activity">No wallet detected. Install MetaMask, Trust, Coinbase or Brave Wallet.</div>
+          ) : (
+            <div className="wallet-picker">
+              {wallets.map(w => {
+                const active = account && w.rdns === walletRdns
+                return (
+                  <button
+                    key={w.rdns}
+                    onClick={() => connectWallet(w.rdns)}
+                    disabled={isConnecting || loading}
+                    className={`wallet-option ${active ? 'connected' : ''}`}
+                  >
+                    {w.icon ? <img src={w.icon} alt="" className="wallet-icon" /> : <span className="wallet-icon">👛</span>}
+                    <span>{w.name}</span>
+                    {active && <span className="wallet-option-status">✓ Connected</span>}
+                  </button>
+                )
+              })}
+            </div>
+          )}
+          {account && <p className="form-hint">{walletName}: <code>{shortAddress(account)}</code></p>}
         </div>
 
         <div className="wallet-card balance-card">
@@ -2545,105 +3070,1910 @@ function Wallet() {
             </div>
           </div>
         )}
+
+        {account && (
+          <div className="wallet-card send-card">
+            <h3>Send KAI</h3>
+            {pendingTransfer ? (
+              <div className="tx-confirm">
+                <p>Send <strong>{pendingTransfer.amount} KAI</strong> to</p>
+                <code>{pendingTransfer.to}</code>
+                <p className="form-hint">
+                  Balance after transfer: {pendingTransfer.remaining} KAI
+                </p>
+                <div className="proposal-actions">
+                  <button onClick={sendTransfer} disabled={txPending} className="vote-btn execute">
+                    {txPending ? 'Sending...' : 'Confirm'}
+                  </button>
+                  <button onClick={() => setPendingTransfer(null)} disabled={txPending} className="vote-btn">
+                    Cancel
+                  </button>
+                </div>
+              </div>
+            ) : (
+              <div className="tx-form">
+                <input
+                  type="text"
+                  placeholder="Recipient address (0x...)"
+                  value={transferForm.to}
+                  onChange={(e) => setTransferForm({ ...transferForm, to: e.target.value.trim() })}
+                  className="address-input"
+                />
+                <div className="input-group">
+                  <input
+                    type="number"
+                    min="0"
+                    step="any"
+                    placeholder="Amount"
+                    value={transferForm.amount}
+                    onChange={(e) => setTransferForm({ ...transferForm, amount: e.target.value })}
+                    className="address-input"
+                  />
+                  <button onClick={reviewTransfer} disabled={txPending} className="check-btn">
+                    {txPending ? '...' : 'Review'}
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+
+        {account && (
+          <div className="wallet-card approval-card">
+            <h3>Approvals</h3>
+            <div className="tx-form">
+              <div className="input-group">
+                <input
+                  type="text"
+                  placeholder="Spender address (0x...)"
+                  value={approvalForm.spender}
+                  onChange={(e) => {
+                    setApprovalForm({ ...approvalForm, spender: e.target.value.trim() })
+                    setAllowanceSpender(null)
+                  }}
+                  className="address-input"
+                />
+                <button onClick={checkAllowance} disabled={txPending} className="check-btn">Check</button>
+              </div>
+              {allowanceSpender && allowanceQuery.isError ? (
+                <p className="form-hint warning">Allowance unavailable: {decodeContractError(allowanceQuery.error).message}</p>
+              ) : currentAllowance !== null && (
+                <p className="form-hint">Current allowance: {parseFloat(currentAllowance).toLocaleString()} KAI</p>
+              )}
+              <div className="input-group">
+                <input
+                  type="number"
+                  min="0"
+                  step="any"
+                  placeholder="Allowance amount"
+                  value={approvalForm.amount}
+                  onChange={(e) => setApprovalForm({ ...approvalForm, amount: e.target.value })}
+                  className="address-input"
+                />
+                <button onClick={() => submitApproval(approvalForm.amount)} disabled={txPending} className="check-btn">
+                  Approve
+                </button>
+              </div>
+              {parseFloat(currentAllowance) > 0 && (
+                <button onClick={() => submitApproval('0')} disabled={txPending} className="vote-btn">
+                  Revoke
+                </button>
+              )}
+            </div>
+          </div>
+        )}
+
+        {lastTx && (
+          <div className="wallet-card result-card">
+            <h3>{lastTx.label}</h3>
+            <TxLink hash={lastTx.hash} />
+          </div>
+        )}
+
+        {account && (
+          <div className="wallet-card">
+            <h3>Recent Transfers</h3>
+            {transfersQuery.isError ? (
+              <ReadError label="Transfer history" error={transfersQuery.error} />
+            ) : transfersQuery.isPending ? (
+              <div className="no-activity">Indexing transfers...</div>
+            ) : transfers.length === 0 ? (
+              <div className="no-activity">No KAI transfers yet</div>
+            ) : (
+              <div className="feed-list">
+                {transfers.map(t => (
+                  <div key={`${t.txHash}-${t.logIndex}`} className="feed-item">
+                    <span className="feed-icon">{t.direction === 'in' ? '📥' : '📤'}</span>
+                    <div className="feed-content">
+                      <span className="feed-text">
+                        {t.direction === 'in' ? '+' : '-'}{parseFloat(t.amount).toLocaleString()} KAI
+                        {' · '}{t.direction === 'in' ? `from ${shortAddress(t.from)}` : `to ${shortAddress(t.to)}`}
+                      </span>
+                      <span className="feed-time">#{t.blockNumber}</span>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
       </div>
     </div>
   )
 }
 
-// 7 Pillars Page - Enhanced with detailed information
-function Pillars() {
-  const [selectedPillar, setSelectedPillar] = useState(null)
+// ============================================
+// ON-CHAIN PAGES
+// ============================================
 
-  const pillars = [
-    {
-      name: 'Governance',
-      icon: '🏛️',
-      color: '#6366f1',
-      desc: 'Decentralized decision making',
-      fullDescription: 'The Governance pillar enables transparent, democratic decision-making for African communities through blockchain-based voting and proposal systems. It empowers citizens to participate in local and national governance without intermediaries.',
-      howItWorks: [
-        'Community members stake KAI tokens to gain voting power',
-        'Proposals are submitted on-chain with required documentation',
-        'Quadratic voting ensures fair representation (prevents whale domination)',
-        '48-hour timelock on approved proposals for security review',
-        'Multi-signature guardian system can veto malicious proposals'
-      ],
-      transactions: [
-        { name: 'propose()', desc: 'Submit a new governance proposal', cost: '10,000 KAI stake' },
-        { name: 'castVote()', desc: 'Vote on active proposals', cost: 'Gas only' },
-        { name: 'delegate()', desc: 'Delegate voting power to trusted representatives', cost: 'Gas only' },
-        { name: 'executeProposal()', desc: 'Execute approved proposals after timelock', cost: 'Gas only' }
-      ],
-      impact: {
-        savings: 'Reduces corruption by 60% through transparent fund tracking',
-        reach: '50M+ citizens across 15 African nations',
-        efficiency: '90% reduction in bureaucratic delays'
-      },
-      change: 'Transforms governance from opaque, centralized systems to transparent, community-driven decision making. Citizens can track every government expenditure and vote on resource allocation in real-time.'
-    },
-    {
-      name: 'Law',
-      icon: '⚖️',
-      color: '#8b5cf6',
-      desc: 'Evidence registry & legal protection',
-      fullDescription: 'The Law pillar provides immutable evidence storage, smart contract-based legal agreements, and decentralized dispute resolution. It brings accessible justice to underserved communities across Africa.',
-      howItWorks: [
-        'Evidence (documents, photos, videos) hashed and stored on IPFS with blockchain timestamps',
-        'Smart contracts create legally-binding agreements without expensive lawyers',
-        'Dispute resolution through trained community arbitrators paid in KAI',
-        'Land titles and property rights recorded permanently on-chain',
-        'Identity verification through decentralized ID system'
-      ],
-      transactions: [
-        { name: 'registerEvidence()', desc: 'Store timestamped evidence on-chain', cost: '5 KAI' },
-        { name: 'createContract()', desc: 'Generate legal smart contract', cost: '50 KAI' },
-        { name: 'initiateDispute()', desc: 'Start arbitration process', cost: '100 KAI (refundable)' },
-        { name: 'registerLandTitle()', desc: 'Register property ownership', cost: '200 KAI' }
-      ],
-      impact: {
-        savings: 'Legal costs reduced by 80% compared to traditional courts',
-        reach: '2M+ land titles secured, protecting family inheritances',
-        efficiency: 'Dispute resolution in 7 days vs 2+ years traditional courts'
-      },
-      change: 'Provides access to justice for the 70% of Africans who cannot afford legal representation. Protects property rights, preserves evidence against corruption, and enables enforceable contracts for small businesses.'
-    },
-    {
-      name: 'Agriculture',
-      icon: '🌾',
-      color: '#22c55e',
-      desc: 'Parametric insurance for farmers',
-      fullDescription: 'The Agriculture pillar protects African farmers with blockchain-based parametric insurance that pays automatically when weather conditions trigger losses. No claims process, no delays, no denial of legitimate claims.',
-      howItWorks: [
-        'Farmers stake KAI to purchase crop insurance coverage',
-        'Weather oracles monitor rainfall, temperature, and satellite crop health data',
-        'Smart contracts automatically trigger payouts when conditions breach thresholds',
-        'No paperwork, no adjusters, no waiting - payouts within hours',
-        'Historical data builds farmer credit scores for future loans'
-      ],
-      transactions: [
-        { name: 'purchaseInsurance()', desc: 'Buy parametric crop coverage', cost: '2-5% of coverage amount' },
-        { name: 'claimPayout()', desc: 'Automatic payout when oracle triggers', cost: 'Gas only' },
-        { name: 'stakeForCredit()', desc: 'Build credit history through staking', cost: 'Variable stake' },
-        { name: 'joinCooperative()', desc: 'Pool resources with other farmers', cost: '10 KAI' }
-      ],
-      impact: {
-        savings: '$500M+ in prevented crop losses through early warnings',
-        reach: '5M+ smallholder farmers protected across East Africa',
-        efficiency: '24-hour payout vs 6+ months traditional insurance'
-      },
-      change: 'Transforms farming from high-risk survival to sustainable business. Farmers can invest in better seeds, equipment, and techniques knowing they\'re protected against climate disasters. Breaks the cycle of poverty from crop failures.'
-    },
-    {
-      name: 'Health',
-      icon: '🏥',
-      color: '#ef4444',
-      desc: 'Food safety & health inspections',
-      fullDescription: 'The Health pillar ensures food safety through blockchain-tracked supply chains, enables telemedicine access in remote areas, and provides transparent health record management that patients control.',
-      howItWorks: [
-        'QR codes track food from farm to table with immutable provenance records',
-        'Health inspectors submit reports on-chain, preventing bribery and falsification',
-        'Patient-controlled health records shared securely with authorized providers',
-        'Telemedicine consultations paid in KAI, reaching remote villages',
+// Shorten an address for display (0x1234...abcd)
+const shortAddress = (address) => address ? `${address.slice(0, 6)}...${address.slice(-4)}` : ''
+
+// Token amount string to base units so comparisons are exact; null when it does not parse
+// (e.g. more fraction digits than the token has)
+const toUnits = (amount, decimals) => {
+  try {
+    return ethers.parseUnits(String(amount ?? '').trim() || '0', decimals)
+  } catch {
+    return null
+  }
+}
+
+// Human-readable duration from seconds (e.g. 2d 4h, 3h 12m, 45s)
+const formatDuration = (seconds) => {
+  if (seconds <= 0) return '0s'
+  const days = Math.floor(seconds / 86400)
+  const hours = Math.floor((seconds % 86400) / 3600)
+  const minutes = Math.floor((seconds % 3600) / 60)
+  if (days > 0) return `${days}d ${hours}h`
+  if (hours > 0) return `${hours}h ${minutes}m`
+  if (minutes > 0) return `${minutes}m ${seconds % 60}s`
+  return `${seconds}s`
+}
+
+// Current unix time in seconds, ticking every second for countdowns
+const useNow = () => {
+  const [now, setNow] = useState(() => Math.floor(Date.now() / 1000))
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 1000)
+    return () => clearInterval(interval)
+  }, [])
+
+  return now
+}
+
+// Transaction hash linked to the explorer of the wallet's network
+function TxLink({ hash }) {
+  const { networkId } = useWallet()
+  const url = getTxExplorerUrl(hash, networkId || DEFAULT_NETWORK)
+  if (!url) return <code className="tx-hash">{hash}</code>
+  return (
+    <a href={url} target="_blank" rel="noopener noreferrer" className="tx-hash">
+      {hash} ↗
+    </a>
+  )
+}
+
+const PROPOSAL_TYPES = ['General', 'Treasury', 'Parameter', 'Emergency']
+
+// Voters from indexed VoteCast events, with the delegated part of each weight
+function ProposalVoters({ proposalId }) {
+  const { readNetworkId } = useWallet()
+  const { data: votes, isError, error } = useQuery(contractQueries.votes(readNetworkId, proposalId))
+  if (isError) return <p className="form-hint warning">Voters unavailable: {decodeContractError(error).message}</p>
+  if (!votes || votes.length === 0) return null
+
+  return (
+    <details className="proposal-voters">
+      <summary>{votes.length} {votes.length === 1 ? 'voter' : 'voters'}</summary>
+      {votes.map(v => (
+        <div key={`${v.txHash}-${v.logIndex}`} className="voter-row">
+          <span>{shortAddress(v.voter)}</span>
+          <span className={`tally-label ${v.support ? 'for' : 'against'}`}>{v.support ? 'For' : 'Against'}</span>
+          <span>
+            {parseFloat(v.weight).toLocaleString()} KAI
+            {parseFloat(v.delegatedWeight) > 0 && ` (${parseFloat(v.delegatedWeight).toLocaleString()} delegated)`}
+          </span>
+        </div>
+      ))}
+    </details>
+  )
+}
+
+// Delegate this account's voting power, or take it back, and see power delegated to it
+function DelegationCard({ account }) {
+  const { addNotification } = useApp()
+  const { readNetworkId } = useWallet()
+  const governance = useGovernance()
+  const delegationQuery = useQuery(contractQueries.delegation(readNetworkId, account))
+  const delegation = delegationQuery.data
+  const [delegatee, setDelegatee] = useState('')
+  const [pending, setPending] = useState(null)
+
+  const handleDelegate = async () => {
+    if (!ethers.isAddress(delegatee)) {
+      addNotification('Invalid delegate address', NOTIFICATION_TYPES.WARNING)
+      return
+    }
+    if (delegatee.toLowerCase() === account.toLowerCase()) {
+      addNotification('You already vote with your own power', NOTIFICATION_TYPES.WARNING)
+      return
+    }
+
+    setPending('delegate')
+    const txHash = await governance.delegate(ethers.getAddress(delegatee))
+    if (txHash) {
+      addNotification(`Delegation to ${shortAddress(delegatee)} submitted`, NOTIFICATION_TYPES.INFO)
+      setDelegatee('')
+    }
+    setPending(null)
+  }
+
+  const handleUndelegate = async () => {
+    setPending('undelegate')
+    const txHash = await governance.undelegate()
+    if (txHash) {
+      addNotification('Undelegation submitted', NOTIFICATION_TYPES.INFO)
+    }
+    setPending(null)
+  }
+
+  if (delegationQuery.isPending || delegationQuery.isError) {
+    return (
+      <div className="wallet-card delegation-card">
+        <h3>Delegation</h3>
+        {delegationQuery.isError ? (
+          <ReadError label="Delegation" error={delegationQuery.error} />
+        ) : (
+          <div className="no-activity">Loading delegation...</div>
+        )}
+      </div>
+    )
+  }
+
+  // This governance deployment has no delegation
+  if (!delegation) return null
+
+  return (
+    <div className="wallet-card delegation-card">
+      <h3>Delegation</h3>
+      <div className="stat-row">
+        <div className="mini-stat">
+          <span className="mini-value">{delegation.delegate ? shortAddress(delegation.delegate) : 'Self'}</span>
+          <span className="mini-label">Your Delegate</span>
+        </div>
+        <div className="mini-stat">
+          <span className="mini-value">{parseFloat(delegation.receivedPower).toLocaleString()}</span>
+          <span className="mini-label">KAI Delegated to You</span>
+        </div>
+      </div>
+      <div className="input-group">
+        <input
+          type="text"
+          placeholder="Delegate address (0x...)"
+          value={delegatee}
+          onChange={(e) => setDelegatee(e.target.value)}
+          className="address-input"
+        />
+        <button onClick={handleDelegate} disabled={!!pending} className="check-btn">
+          {pending === 'delegate' ? 'Delegating...' : 'Delegate'}
+        </button>
+      </div>
+      {delegation.delegate && (
+        <button onClick={handleUndelegate} disabled={!!pending} className="vote-btn">
+          {pending === 'undelegate' ? 'Undelegating...' : 'Undelegate'}
+        </button>
+      )}
+    </div>
+  )
+}
+
+// Derive a proposal's lifecycle status from its tallies and deadline
+const getProposalStatus = (proposal, quorum, deadline, now) => {
+  if (proposal.executed) return 'executed'
+  if (now < deadline) return 'active'
+  const forVotes = parseFloat(proposal.forVotes)
+  const againstVotes = parseFloat(proposal.againstVotes)
+  if (forVotes + againstVotes >= quorum && forVotes > againstVotes) return 'passed'
+  return 'defeated'
+}
+
+// Governance Page - DAO proposals, voting and execution
+function Governance() {
+  const { addNotification } = useApp()
+  const { account, readNetworkId, isConnected, connect, isConnecting } = useWallet()
+  const governance = useGovernance()
+  const [pending, setPending] = useState(null)
+  const now = useNow()
+
+  const infoQuery = useQuery(contractQueries.governanceInfo(readNetworkId))
+  const proposalsQuery = useQuery(contractQueries.proposals(readNetworkId, account))
+
+  const loading = infoQuery.isPending
+  const info = infoQuery.data ?? null
+  const proposals = [...(proposalsQuery.data ?? [])].reverse()
+
+  const handleVote = async (proposalId, support) => {
+    setPending(`vote-${proposalId}`)
+    const txHash = await governance.vote(proposalId, support)
+    if (txHash) {
+      addNotification(`Vote on proposal #${proposalId} submitted`, NOTIFICATION_TYPES.INFO)
+    }
+    setPending(null)
+  }
+
+  const handleExecute = async (proposalId) => {
+    setPending(`execute-${proposalId}`)
+    const txHash = await governance.executeProposal(proposalId)
+    if (txHash) {
+      addNotification(`Execution of proposal #${proposalId} submitted`, NOTIFICATION_TYPES.INFO)
+    }
+    setPending(null)
+  }
+
+  if (loading) return <LoadingScreen message="Loading Proposals..." />
+
+  const quorum = parseFloat(info?.quorumThreshold || 0)
+
+  return (
+    <div className="governance-page">
+      <div className="page-header">
+        <h2>Governance</h2>
+        <div className="alert-stats">
+          <span className="stat-pill total">{info?.proposalCount ?? 0} Proposals</span>
+          <span className="stat-pill total">Quorum {quorum.toLocaleString()} KAI</span>
+          <span className="stat-pill total">Voting {formatDuration(info?.votingPeriod || 0)}</span>
+        </div>
+      </div>
+
+      {!isConnected && (
+        <div className="wallet-card connect-card governance-connect">
+          <p>Connect your wallet to vote on proposals.</p>
+          <button onClick={() => connect()} disabled={isConnecting} className="connect-btn">
+            {isConnecting ? 'Connecting...' : 'Connect Wallet'}
+          </button>
+        </div>
+      )}
+
+      {isConnected && info && <DelegationCard account={account} />}
+
+      {infoQuery.isError ? (
+        <ReadError label="Governance" error={infoQuery.error} />
+      ) : proposalsQuery.isError ? (
+        <ReadError label="Proposals" error={proposalsQuery.error} />
+      ) : proposalsQuery.isPending ? (
+        <div className="no-activity">Indexing proposals...</div>
+      ) : proposals.length === 0 ? (
+        <div className="empty-state">
+          <span className="empty-icon">📭</span>
+          <p>No proposals yet</p>
+        </div>
+      ) : (
+        <div className="proposals-list">
+          {proposals.map((proposal) => {
+            const deadline = proposal.createdAt + info.votingPeriod
+            const status = getProposalStatus(proposal, quorum, deadline, now)
+            const forVotes = parseFloat(proposal.forVotes)
+            const againstVotes = parseFloat(proposal.againstVotes)
+            const totalVotes = forVotes + againstVotes
+            const forPercent = totalVotes > 0 ? (forVotes / totalVotes) * 100 : 0
+            const quorumPercent = quorum > 0 ? Math.min(100, (totalVotes / quorum) * 100) : 100
+
+            return (
+              <div key={proposal.id} className={`proposal-card status-${status}`}>
+                <div className="proposal-header">
+                  <span className="proposal-id">#{proposal.id}</span>
+                  <h3>{proposal.title}</h3>
+                  <span className={`proposal-status ${status}`}>{status}</span>
+                </div>
+                <p className="proposal-description">{proposal.description}</p>
+                <div className="proposal-meta">
+                  <span>{PROPOSAL_TYPES[proposal.proposalType] || `Type ${proposal.proposalType}`}</span>
+                  <span>Proposer: {shortAddress(proposal.proposer)}</span>
+                  <span>
+                    {status === 'active' ? `${formatDuration(deadline - now)} left` : `Ended ${new Date(deadline * 1000).toLocaleString()}`}
+                  </span>
+                </div>
+
+                <div className="vote-tally">
+                  <div className="tally-bar">
+                    <div className="tally-for" style={{ width: `${forPercent}%` }}></div>
+                  </div>
+                  <div className="tally-labels">
+                    <span className="tally-label for">For {forVotes.toLocaleString()} KAI</span>
+                    <span className="tally-label against">Against {againstVotes.toLocaleString()} KAI</span>
+                  </div>
+                  <div className="quorum-bar">
+                    <div className="quorum-fill" style={{ width: `${quorumPercent}%` }}></div>
+                  </div>
+                  <span className="quorum-label">
+                    Quorum: {totalVotes.toLocaleString()} / {quorum.toLocaleString()} KAI
+                  </span>
+                </div>
+
+                <ProposalVoters proposalId={proposal.id} />
+
+                <div className="proposal-actions">
+                  {proposal.hasVoted && <span className="voted-badge">✓ You voted</span>}
+                  {status === 'active' && isConnected && !proposal.hasVoted && (
+                    <>
+                      <button
+                        className="vote-btn for"
+                        disabled={!!pending}
+                        onClick={() => handleVote(proposal.id, true)}
+                      >
+                        {pending === `vote-${proposal.id}` ? 'Voting...' : 'Vote For'}
+                      </button>
+                      <button
+                        className="vote-btn against"
+                        disabled={!!pending}
+                        onClick={() => handleVote(proposal.id, false)}
+                      >
+                        Vote Against
+                      </button>
+                    </>
+                  )}
+                  {status === 'passed' && isConnected && (
+                    <button
+                      className="vote-btn execute"
+                      disabled={!!pending}
+                      onClick={() => handleExecute(proposal.id)}
+                    >
+                      {pending === `execute-${proposal.id}` ? 'Executing...' : 'Execute'}
+                    </button>
+                  )}
+                </div>
+              </div>
+            )
+          })}
+        </div>
+      )}
+    </div>
+  )
+}
+
+const STAKE_EVENT_ICONS = { Staked: '🔒', Unstaked: '🔓', RewardsClaimed: '🎁' }
+
+// Staking Page - Climate alert staking console
+function Staking() {
+  const { addNotification } = useApp()
+  const { account, readNetworkId, isConnected, connect, isConnecting } = useWallet()
+  const staking = useStaking()
+  const token = useKAIToken()
+  const [amount, setAmount] = useState('')
+  const [pending, setPending] = useState(null)
+  const now = useNow()
+  const stakingAddress = getContractConfig(readNetworkId).addresses.ClimateAlertStaking
+
+  const infoQuery = useQuery(contractQueries.stakingInfo(readNetworkId))
+  const positionQuery = useQuery({ ...contractQueries.userStake(readNetworkId, account), enabled: !!account })
+  const balanceQuery = useQuery({ ...contractQueries.balance(readNetworkId, account), enabled: !!account })
+  const allowanceQuery = useQuery({ ...contractQueries.allowance(readNetworkId, account, stakingAddress), enabled: !!account })
+  // Keep the pending rewards readout live between full refreshes
+  const rewardsQuery = useQuery({ ...contractQueries.pendingRewards(readNetworkId, account), enabled: !!account, refetchInterval: 15000 })
+  const historyQuery = useQuery({ ...contractQueries.stakeHistory(readNetworkId, account), enabled: !!account })
+  // With permit support the stake carries a signed approval, so there is no approve step
+  const permitQuery = useQuery(contractQueries.permitSupport(readNetworkId, 'ClimateAlertStaking', 'stakeWithPermit'))
+  const decimalsQuery = useQuery(contractQueries.decimals(readNetworkId))
+
+  const loading = infoQuery.isPending || decimalsQuery.isPending
+  const info = infoQuery.data ?? null
+  const position = positionQuery.data ?? null
+  const balance = balanceQuery.data ?? '0'
+  const allowance = allowanceQuery.data ?? '0'
+  const pendingRewards = rewardsQuery.data ?? position?.pendingRewards ?? '0'
+  const stakeHistory = [...(historyQuery.data ?? [])].reverse()
+
+  // Amounts are compared in base units; floats lose precision at 18 decimals
+  const decimals = decimalsQuery.data ?? 18
+  const amountUnits = toUnits(amount, decimals)
+  const minimumStake = parseFloat(info?.minimumStake || 0)
+  const usesPermit = permitQuery.data === true
+  const needsApproval = !usesPermit && amountUnits !== null && amountUnits > toUnits(allowance, decimals)
+
+  // Checked before any transaction is sent
+  const validateAmount = () => {
+    if (amountUnits === null) return 'Enter a valid amount'
+    if (amountUnits <= 0n) return 'Enter an amount to stake'
+    if (amountUnits < toUnits(info?.minimumStake, decimals)) {
+      return `Minimum stake is ${minimumStake.toLocaleString()} KAI`
+    }
+    if (balanceQuery.isError) return `KAI balance unavailable: ${decodeContractError(balanceQuery.error).message}`
+    if (amountUnits > toUnits(balance, decimals)) return 'Insufficient KAI balance'
+    return null
+  }
+
+  const handleApprove = async () => {
+    const validationError = validateAmount()
+    if (validationError) {
+      addNotification(validationError, NOTIFICATION_TYPES.WARNING)
+      return
+    }
+
+    setPending('approve')
+    const txHash = await token.approve(stakingAddress, amount)
+    if (txHash) {
+      addNotification('Staking approval submitted', NOTIFICATION_TYPES.INFO)
+    }
+    setPending(null)
+  }
+
+  const handleStake = async () => {
+    const validationError = validateAmount()
+    if (validationError) {
+      addNotification(validationError, NOTIFICATION_TYPES.WARNING)
+      return
+    }
+
+    setPending('stake')
+    const txHash = await staking.stake(amount)
+    if (txHash) {
+      addNotification(`Stake of ${parseFloat(amount).toLocaleString()} KAI submitted`, NOTIFICATION_TYPES.INFO)
+      setAmount('')
+    }
+    setPending(null)
+  }
+
+  const handleUnstake = async () => {
+    setPending('unstake')
+    const txHash = await staking.unstake()
+    if (txHash) {
+      addNotification('Unstake submitted', NOTIFICATION_TYPES.INFO)
+    }
+    setPending(null)
+  }
+
+  const handleClaim = async () => {
+    setPending('claim')
+    const txHash = await staking.claimRewards()
+    if (txHash) {
+      addNotification('Reward claim submitted', NOTIFICATION_TYPES.INFO)
+    }
+    setPending(null)
+  }
+
+  if (loading) return <LoadingScreen message="Loading Staking..." />
+
+  const stakedAmount = parseFloat(position?.stakedAmount || 0)
+  const unlockAt = (position?.stakedAt || 0) + (info?.stakingDuration || 0)
+  const locked = stakedAmount > 0 && now < unlockAt
+  const lockProgress = info?.stakingDuration
+    ? Math.min(100, Math.round(((now - (position?.stakedAt || 0)) / info.stakingDuration) * 100))
+    : 100
+
+  return (
+    <div className="staking-page">
+      <div className="page-header">
+        <h2>Climate Alert Staking</h2>
+        {info && (
+          <div className="alert-stats">
+            <span className="stat-pill total">{parseFloat(info.totalStaked).toLocaleString()} KAI Staked</span>
+            <span className="stat-pill total">Min {minimumStake.toLocaleString()} KAI</span>
+            <span className="stat-pill total">Lock {formatDuration(info.stakingDuration)}</span>
+          </div>
+        )}
+      </div>
+
+      {infoQuery.isError ? (
+        <ReadError label="Staking" error={infoQuery.error} />
+      ) : !isConnected ? (
+        <div className="wallet-card connect-card governance-connect">
+          <p>Connect your wallet to stake KAI for climate alerts.</p>
+          <button onClick={() => connect()} disabled={isConnecting} className="connect-btn">
+            {isConnecting ? 'Connecting...' : 'Connect Wallet'}
+          </button>
+        </div>
+      ) : (
+        <div className="wallet-grid">
+          <div className="wallet-card stake-form-card">
+            <h3>Stake KAI</h3>
+            {usesPermit ? (
+              <p className="form-hint">Approval is signed as a permit and sent with the stake</p>
+            ) : (
+              <div className="stake-steps">
+                <span className={`stake-step ${needsApproval ? 'current' : 'done'}`}>1. Approve</span>
+                <span className={`stake-step ${needsApproval ? '' : 'current'}`}>2. Stake</span>
+              </div>
+            )}
+            <div className="form-group">
+              <label>Amount (balance: {balanceQuery.isError ? 'unavailable' : `${parseFloat(balance).toLocaleString()} KAI`})</label>
+              <div className="input-group">
+                <input
+                  type="number"
+                  min="0"
+                  step="any"
+                  placeholder={`Min ${minimumStake.toLocaleString()}`}
+                  value={amount}
+                  onChange={(e) => setAmount(e.target.value)}
+                  className="address-input"
+                />
+                <button onClick={() => setAmount(balance)} className="check-btn">Max</button>
+              </div>
+            </div>
+            {amount && validateAmount() && <p className="form-hint warning">{validateAmount()}</p>}
+            {needsApproval ? (
+              <button onClick={handleApprove} disabled={!!pending} className="connect-btn stake-action">
+                {pending === 'approve' ? 'Approving...' : 'Approve KAI'}
+              </button>
+            ) : (
+              <button onClick={handleStake} disabled={!!pending} className="connect-btn stake-action">
+                {pending === 'stake' ? 'Staking...' : 'Stake'}
+              </button>
+            )}
+          </div>
+
+          <div className="wallet-card stake-position-card">
+            <h3>Your Position</h3>
+            {positionQuery.isError ? (
+              <ReadError label="Position" error={positionQuery.error} />
+            ) : (
+              <>
+                <div className="balance-display">
+                  <span className="balance-amount">{stakedAmount.toLocaleString()}</span>
+                  <span className="balance-symbol">KAI</span>
+                </div>
+                <div className="stake-rewards">
+                  <span className="mini-label">Pending Rewards</span>
+                  <span className="mini-value">{parseFloat(pendingRewards).toLocaleString(undefined, { maximumFractionDigits: 6 })} KAI</span>
+                </div>
+                {stakedAmount > 0 && (
+                  <div className="lock-countdown">
+                    <div className="quorum-bar">
+                      <div className="quorum-fill" style={{ width: `${lockProgress}%` }}></div>
+                    </div>
+                    <span className="quorum-label">
+                      {locked ? `Unlocks in ${formatDuration(unlockAt - now)}` : 'Unlocked'}
+                    </span>
+                  </div>
+                )}
+                <div className="proposal-actions">
+                  <button
+                    onClick={handleClaim}
+                    disabled={!!pending || parseFloat(pendingRewards) <= 0}
+                    className="vote-btn execute"
+                  >
+                    {pending === 'claim' ? 'Claiming...' : 'Claim Rewards'}
+                  </button>
+                  <button
+                    onClick={handleUnstake}
+                    disabled={!!pending || stakedAmount <= 0 || locked}
+                    className="vote-btn"
+                  >
+                    {pending === 'unstake' ? 'Unstaking...' : 'Unstake'}
+                  </button>
+                </div>
+              </>
+            )}
+          </div>
+
+          <div className="wallet-card">
+            <h3>Staking History</h3>
+            {historyQuery.isError ? (
+              <ReadError label="Staking history" error={historyQuery.error} />
+            ) : historyQuery.isPending ? (
+              <div className="no-activity">Indexing staking history...</div>
+            ) : stakeHistory.length === 0 ? (
+              <div className="no-activity">No staking activity yet</div>
+            ) : (
+              <div className="feed-list">
+                {stakeHistory.map(entry => (
+                  <div key={`${entry.txHash}-${entry.logIndex}`} className="feed-item">
+                    <span className="feed-icon">{STAKE_EVENT_ICONS[entry.type]}</span>
+                    <div className="feed-content">
+                      <span className="feed-text">{entry.type} {parseFloat(entry.amount).toLocaleString()} KAI</span>
+                      <span className="feed-time">#{entry.blockNumber}</span>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+// On-chain pillar ids follow the PILLARS_CONFIG order
+const PILLAR_IDS = PILLARS_CONFIG.map((_, i) => i)
+
+// Burn Page - Pillar burn console with PillarBurn history
+function Burn() {
+  const { addNotification } = useApp()
+  const { account, readNetworkId, isConnected, connect, isConnecting } = useWallet()
+  const token = useKAIToken()
+  const [form, setForm] = useState({ pillarId: 0, amount: '', reason: '' })
+  const [filter, setFilter] = useState('all')
+  const [burning, setBurning] = useState(false)
+  const [lastTx, setLastTx] = useState(null)
+
+  const ratesQuery = useQuery(contractQueries.pillarBurnRates(readNetworkId, PILLAR_IDS))
+  const historyQuery = useQuery(contractQueries.burnHistory(readNetworkId))
+  const burnedQuery = useQuery({ ...contractQueries.burnedByAddress(readNetworkId, account), enabled: !!account })
+
+  const loading = ratesQuery.isPending
+  const rates = ratesQuery.data ?? {}
+  const history = [...(historyQuery.data ?? [])].reverse()
+  const burnedByMe = burnedQuery.data ?? '0'
+
+  const handleBurn = async (e) => {
+    e.preventDefault()
+    if (!(parseFloat(form.amount) > 0)) {
+      addNotification('Enter an amount to burn', NOTIFICATION_TYPES.WARNING)
+      return
+    }
+    if (!form.reason.trim()) {
+      addNotification('A burn reason is required', NOTIFICATION_TYPES.WARNING)
+      return
+    }
+
+    setBurning(true)
+    const txHash = await token.burn(form.amount, form.pillarId, sanitizeInput(form.reason))
+    if (txHash) {
+      addNotification(`Burn of ${form.amount} KAI for ${PILLARS_CONFIG[form.pillarId].name} submitted`, NOTIFICATION_TYPES.INFO)
+      setLastTx(txHash)
+      setForm({ ...form, amount: '', reason: '' })
+    }
+    setBurning(false)
+  }
+
+  if (loading) return <LoadingScreen message="Loading Burn Console..." />
+
+  const pillarTotals = PILLAR_IDS.map(id => history
+    .filter(b => b.pillarId === id)
+    .reduce((sum, b) => sum + parseFloat(b.amount), 0))
+  const filteredHistory = filter === 'all' ? history : history.filter(b => b.pillarId === filter)
+
+  return (
+    <div className="burn-page">
+      <div className="page-header">
+        <h2>Pillar Burn Console</h2>
+        <div className="alert-stats">
+          {historyQuery.isSuccess && <span className="stat-pill total">{history.length} Burns</span>}
+          {account && !burnedQuery.isError && (
+            <span className="stat-pill active">You burned {parseFloat(burnedByMe).toLocaleString()} KAI</span>
+          )}
+        </div>
+      </div>
+
+      <div className="burn-layout">
+        <form onSubmit={handleBurn} className="alert-form burn-form">
+          <h3>Burn KAI for a Pillar</h3>
+          <div className="burn-pillars">
+            {PILLARS_CONFIG.map((pillar, id) => (
+              <button
+                type="button"
+                key={pillar.id}
+                className={`burn-pillar ${form.pillarId === id ? 'selected' : ''}`}
+                style={{ '--pillar-color': pillar.color }}
+                onClick={() => setForm({ ...form, pillarId: id })}
+              >
+                <span className="burn-pillar-icon">{pillar.icon}</span>
+                <span className="burn-pillar-name">{pillar.name}</span>
+                <span className="burn-pillar-rate">
+                  {rates[id] !== undefined ? `${(rates[id] / 100).toFixed(2)}%` : '—'}
+                </span>
+              </button>
+            ))}
+          </div>
+          {ratesQuery.isError && (
+            <p className="form-hint warning">Burn rates unavailable: {decodeContractError(ratesQuery.error).message}</p>
+          )}
+          <div className="form-grid">
+            <div className="form-group">
+              <label>Amount (KAI)</label>
+              <input
+                type="number"
+                min="0"
+                step="any"
+                value={form.amount}
+                onChange={(e) => setForm({ ...form, amount: e.target.value })}
+                required
+              />
+            </div>
+            <div className="form-group">
+              <label>Reason</label>
+              <input
+                type="text"
+                placeholder="e.g., Flood alert for Lagos"
+                value={form.reason}
+                onChange={(e) => setForm({ ...form, reason: e.target.value })}
+                maxLength={200}
+                required
+              />
+            </div>
+            {isConnected ? (
+              <button type="submit" disabled={burning} className="submit-btn">
+                {burning ? 'Burning...' : '🔥 Burn'}
+              </button>
+            ) : (
+              <button type="button" onClick={() => connect()} disabled={isConnecting} className="connect-btn">
+                {isConnecting ? 'Connecting...' : 'Connect Wallet'}
+              </button>
+            )}
+          </div>
+          {lastTx && <TxLink hash={lastTx} />}
+        </form>
+
+        <div className="alerts-section burn-history">
+          <div className="section-header">
+            <h3>Burn History</h3>
+          </div>
+          {historyQuery.isSuccess && (
+            <div className="burn-totals">
+              {PILLARS_CONFIG.map((pillar, id) => (
+                <button
+                  key={pillar.id}
+                  className={`filter-tab ${filter === id ? 'active' : ''}`}
+                  onClick={() => setFilter(filter === id ? 'all' : id)}
+                >
+                  {pillar.icon} {pillarTotals[id].toLocaleString()}
+                </button>
+              ))}
+            </div>
+          )}
+          {historyQuery.isError ? (
+            <ReadError label="Burn history" error={historyQuery.error} />
+          ) : historyQuery.isPending ? (
+            <div className="no-activity">Indexing burns...</div>
+          ) : filteredHistory.length === 0 ? (
+            <div className="empty-state">
+              <span className="empty-icon">🔥</span>
+              <p>No burns recorded</p>
+            </div>
+          ) : (
+            <div className="feed-list">
+              {filteredHistory.map(burn => (
+                <div key={`${burn.txHash}-${burn.logIndex}`} className="feed-item">
+                  <span className="feed-icon">{PILLARS_CONFIG[burn.pillarId]?.icon || '🔥'}</span>
+                  <div className="feed-content">
+                    <span className="feed-text">
+                      {parseFloat(burn.amount).toLocaleString()} KAI · {burn.reason}
+                    </span>
+                    <span className="feed-time">
+                      {burn.burner.toLowerCase() === account?.toLowerCase() ? 'You' : shortAddress(burn.burner)} · #{burn.blockNumber}
+                    </span>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+// Alert and subscription products sold by KAIRevenue
+const REVENUE_PRODUCTS = [
+  { id: 'alertBasic', kind: 'alert', type: 0, name: 'Basic Alert', icon: '🔔', desc: 'One standard climate alert' },
+  { id: 'alertUrgent', kind: 'alert', type: 1, name: 'Urgent Alert', icon: '🚨', desc: 'One priority alert with instant delivery' },
+  { id: 'subscriptionBasic', kind: 'subscription', type: 0, name: 'Basic Subscription', icon: '📅', desc: 'Monthly access to regional alerts' },
+  { id: 'subscriptionPremium', kind: 'subscription', type: 1, name: 'Premium Subscription', icon: '⭐', desc: 'Monthly access to all alerts and reports' },
+]
+
+// Checkout Page - Alert purchases and subscriptions through KAIRevenue
+function Checkout() {
+  const { addNotification } = useApp()
+  const { account, readNetworkId, isConnected, connect, isConnecting } = useWallet()
+  const revenue = useRevenue()
+  const token = useKAIToken()
+  const [selected, setSelected] = useState(REVENUE_PRODUCTS[0])
+  const [pending, setPending] = useState(null)
+  const [lastTx, setLastTx] = useState(null)
+  const revenueAddress = getContractConfig(readNetworkId).addresses.KAIRevenue
+
+  const statsQuery = useQuery(contractQueries.revenueStats(readNetworkId))
+  const userStatsQuery = useQuery({ ...contractQueries.userStats(readNetworkId, account), enabled: !!account })
+  const expiryQuery = useQuery({ ...contractQueries.subscriptionExpiry(readNetworkId, account), enabled: !!account })
+  const allowanceQuery = useQuery({ ...contractQueries.allowance(readNetworkId, account, revenueAddress), enabled: !!account })
+  // Alerts can be bought with a signed permit instead of a separate approval
+  const permitQuery = useQuery(contractQueries.permitSupport(readNetworkId, 'KAIRevenue', 'buyAlertWithPermit'))
+  const decimalsQuery = useQuery(contractQueries.decimals(readNetworkId))
+
+  const loading = statsQuery.isPending || decimalsQuery.isPending
+  const pricing = statsQuery.data?.pricing ?? null
+  const userStats = userStatsQuery.data ?? null
+  const expiresAt = expiryQuery.data ?? null
+  const allowance = allowanceQuery.data ?? '0'
+
+  const price = pricing ? pricing[selected.id] : '0'
+  const usesPermit = selected.kind === 'alert' && permitQuery.data === true
+  const decimals = decimalsQuery.data ?? 18
+  const needsApproval = !usesPermit && toUnits(allowance, decimals) < toUnits(price, decimals)
+
+  const handleApprove = async () => {
+    setPending('approve')
+    const txHash = await token.approve(revenueAddress, price)
+    if (txHash) {
+      addNotification('Spending approval submitted', NOTIFICATION_TYPES.INFO)
+    }
+    setPending(null)
+  }
+
+  const handlePurchase = async () => {
+    setPending('purchase')
+    const result = selected.kind === 'alert'
+      ? await revenue.buyAlert(selected.type)
+      : await revenue.subscribe(selected.type)
+
+    if (result) {
+      addNotification(`${selected.name} purchase submitted`, NOTIFICATION_TYPES.INFO)
+      setLastTx(result.txHash)
+    }
+    setPending(null)
+  }
+
+  if (loading) return <LoadingScreen message="Loading Checkout..." />
+
+  return (
+    <div className="checkout-page">
+      <div className="page-header">
+        <h2>Alerts &amp; Subscriptions</h2>
+      </div>
+
+      {statsQuery.isError ? (
+        <ReadError label="Pricing" error={statsQuery.error} />
+      ) : (
+        <>
+          <div className="product-grid">
+            {REVENUE_PRODUCTS.map(product => (
+              <button
+                key={product.id}
+                className={`product-card ${selected.id === product.id ? 'selected' : ''}`}
+                onClick={() => setSelected(product)}
+              >
+                <span className="product-icon">{product.icon}</span>
+                <span className="product-name">{product.name}</span>
+                <span className="product-price">{parseFloat(pricing[product.id]).toLocaleString()} KAI</span>
+                <span className="product-desc">{product.desc}</span>
+              </button>
+            ))}
+          </div>
+
+          <div className="wallet-grid">
+            <div className="wallet-card">
+              <h3>Checkout: {selected.name}</h3>
+              {!isConnected ? (
+                <button onClick={() => connect()} disabled={isConnecting} className="connect-btn">
+                  {isConnecting ? 'Connecting...' : 'Connect Wallet'}
+                </button>
+              ) : (
+                <>
+                  {usesPermit ? (
+                    <p className="form-hint">Approval is signed as a permit and sent with the purchase</p>
+                  ) : (
+                    <div className="stake-steps">
+                      <span className={`stake-step ${needsApproval ? 'current' : 'done'}`}>1. Approve KAI</span>
+                      <span className={`stake-step ${needsApproval ? '' : 'current'}`}>
+                        2. {selected.kind === 'alert' ? 'Buy' : 'Subscribe'}
+                      </span>
+                    </div>
+                  )}
+                  <p className="form-hint">
+                    Price {parseFloat(price).toLocaleString()} KAI · allowance {allowanceQuery.isError ? 'unavailable' : `${parseFloat(allowance).toLocaleString()} KAI`}
+                  </p>
+                  {needsApproval ? (
+                    <button onClick={handleApprove} disabled={!!pending} className="connect-btn">
+                      {pending === 'approve' ? 'Approving...' : `Approve ${parseFloat(price).toLocaleString()} KAI`}
+                    </button>
+                  ) : (
+                    <button onClick={handlePurchase} disabled={!!pending} className="connect-btn">
+                      {pending === 'purchase' ? 'Processing...' : selected.kind === 'alert' ? 'Buy Alert' : 'Subscribe'}
+                    </button>
+                  )}
+                  {lastTx && <TxLink hash={lastTx} />}
+                </>
+              )}
+            </div>
+
+            {userStatsQuery.isError ? (
+              <div className="wallet-card">
+                <h3>Your Account</h3>
+                <ReadError label="Account stats" error={userStatsQuery.error} />
+              </div>
+            ) : userStats && (
+              <div className="wallet-card">
+                <h3>Your Account</h3>
+                <div className="stat-row">
+                  <div className="mini-stat">
+                    <span className="mini-value">{userStats.alertCount}</span>
+                    <span className="mini-label">Alerts Bought</span>
+                  </div>
+                  <div className="mini-stat">
+                    <span className="mini-value">{parseFloat(userStats.totalSpent).toLocaleString()}</span>
+                    <span className="mini-label">KAI Spent</span>
+                  </div>
+                </div>
+                <div className="stake-rewards">
+                  <span className="mini-label">Subscription</span>
+                  <span className={`mini-value ${userStats.hasActiveSubscription ? 'subscription-active' : ''}`}>
+                    {userStats.hasActiveSubscription ? 'Active' : 'Inactive'}
+                  </span>
+                </div>
+                {expiryQuery.isError ? (
+                  <p className="form-hint warning">Subscription expiry unavailable: {decodeContractError(expiryQuery.error).message}</p>
+                ) : expiresAt && (
+                  <p className="form-hint">
+                    {userStats.hasActiveSubscription ? 'Expires' : 'Expired'} {new Date(expiresAt * 1000).toLocaleString()}
+                  </p>
+                )}
+              </div>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+// Vesting Timeline - cliff/duration chart with release markers
+function VestingTimeline({ schedule, releases, now }) {
+  const width = 600
+  const height = 160
+  const total = parseFloat(schedule.totalAmount)
+  const end = schedule.start + schedule.duration
+  const cliffTime = schedule.start + schedule.cliff
+
+  const xAt = (t) => Math.min(width, Math.max(0, ((t - schedule.start) / (schedule.duration || 1)) * width))
+  const yAt = (amount) => height - (total > 0 ? (amount / total) * height : 0)
+  const vestedAt = (t) => {
+    if (t < cliffTime) return 0
+    if (t >= end) return total
+    return total * (t - schedule.start) / schedule.duration
+  }
+
+  const vestedPath = `M 0 ${height} L ${xAt(cliffTime)} ${height} L ${xAt(cliffTime)} ${yAt(vestedAt(cliffTime))} L ${width} 0`
+  const releasePoints = releases.reduce((points, r) => {
+    const cumulative = (points[points.length - 1]?.cumulative || 0) + parseFloat(r.amount)
+    return [...points, { ...r, cumulative, x: xAt(r.timestamp), y: yAt(cumulative) }]
+  }, [])
+
+  return (
+    <div className="vesting-timeline">
+      <svg className="vesting-svg" viewBox={`0 0 ${width} ${height}`} preserveAspectRatio="none">
+        <defs>
+          <linearGradient id="vesting-grad" x1="0%" y1="0%" x2="0%" y2="100%">
+            <stop offset="0%" stopColor="#ffd700" stopOpacity="0.35" />
+            <stop offset="100%" stopColor="#ffd700" stopOpacity="0" />
+          </linearGradient>
+        </defs>
+        <path d={`${vestedPath} L ${width} ${height} Z`} fill="url(#vesting-grad)" />
+        <path d={vestedPath} fill="none" stroke="#ffd700" strokeWidth="2" />
+        <line x1="0" x2={width} y1={yAt(parseFloat(schedule.released))} y2={yAt(parseFloat(schedule.released))} className="vesting-released-line" />
+        <line x1={xAt(cliffTime)} x2={xAt(cliffTime)} y1="0" y2={height} className="vesting-cliff-line" />
+        <line x1={xAt(now)} x2={xAt(now)} y1="0" y2={height} className="vesting-now-line" />
+        {releasePoints.map(p => (
+          <circle key={p.txHash} cx={p.x} cy={p.y} r="4" fill="#10b981" />
+        ))}
+      </svg>
+      <div className="vesting-axis">
+        <span>Start {new Date(schedule.start * 1000).toLocaleDateString()}</span>
+        <span>Cliff {new Date(cliffTime * 1000).toLocaleDateString()}</span>
+        <span>End {new Date(end * 1000).toLocaleDateString()}</span>
+      </div>
+    </div>
+  )
+}
+
+// Vesting Page - Beneficiary schedule, releasable amount and release history
+function Vesting() {
+  const { addNotification } = useApp()
+  const { account, readNetworkId, isConnected, connect, isConnecting } = useWallet()
+  const vesting = useVesting()
+  const [lookup, setLookup] = useState('')
+  const [beneficiary, setBeneficiary] = useState(null)
+  const [releasing, setReleasing] = useState(false)
+  const [lastTx, setLastTx] = useState(null)
+  const now = useNow()
+  const target = beneficiary || account
+
+  const scheduleQuery = useQuery({ ...contractQueries.vestingSchedule(readNetworkId, target), enabled: !!target })
+  const releasesQuery = useQuery({ ...contractQueries.releaseHistory(readNetworkId, target), enabled: !!target })
+
+  const loading = !!target && scheduleQuery.isPending
+  const schedule = scheduleQuery.data ?? null
+  const releases = releasesQuery.data ?? []
+
+  const handleLookup = () => {
+    if (!ethers.isAddress(lookup)) {
+      addNotification('Invalid beneficiary address', NOTIFICATION_TYPES.WARNING)
+      return
+    }
+    setBeneficiary(ethers.getAddress(lookup))
+  }
+
+  const handleRelease = async () => {
+    setReleasing(true)
+    const txHash = await vesting.release(target)
+    if (txHash) {
+      addNotification('Release submitted', NOTIFICATION_TYPES.INFO)
+      setLastTx(txHash)
+    }
+    setReleasing(false)
+  }
+
+  const hasSchedule = schedule && parseFloat(schedule.totalAmount) > 0
+
+  return (
+    <div className="vesting-page">
+      <div className="page-header">
+        <h2>Vesting</h2>
+        {target && <span className="stat-pill total">{shortAddress(target)}</span>}
+      </div>
+
+      <div className="wallet-grid">
+        <div className="wallet-card">
+          <h3>Beneficiary</h3>
+          <div className="input-group">
+            <input
+              type="text"
+              placeholder="Beneficiary address (0x...)"
+              value={lookup}
+              onChange={(e) => setLookup(e.target.value.trim())}
+              className="address-input"
+            />
+            <button onClick={handleLookup} className="check-btn">View</button>
+          </div>
+          {!isConnected && (
+            <button onClick={() => connect()} disabled={isConnecting} className="connect-btn stake-action">
+              {isConnecting ? 'Connecting...' : 'Connect Wallet'}
+            </button>
+          )}
+        </div>
+
+        {hasSchedule && (
+          <div className="wallet-card">
+            <h3>Releasable Now</h3>
+            <div className="balance-display">
+              <span className="balance-amount">{parseFloat(schedule.releasable).toLocaleString()}</span>
+              <span className="balance-symbol">KAI</span>
+            </div>
+            <button
+              onClick={handleRelease}
+              disabled={releasing || !isConnected || parseFloat(schedule.releasable) <= 0}
+              className="connect-btn stake-action"
+            >
+              {releasing ? 'Releasing...' : 'Release'}
+            </button>
+            {lastTx && <TxLink hash={lastTx} />}
+          </div>
+        )}
+      </div>
+
+      {loading ? (
+        <LoadingScreen message="Loading vesting schedule..." />
+      ) : !target ? null : scheduleQuery.isError ? (
+        <ReadError label="Vesting schedule" error={scheduleQuery.error} />
+      ) : !hasSchedule ? (
+        <div className="empty-state vesting-empty">
+          <span className="empty-icon">⏳</span>
+          <p>No vesting schedule for this address</p>
+        </div>
+      ) : (
+        <div className="vesting-details">
+          <div className="stat-row">
+            <div className="mini-stat">
+              <span className="mini-value">{parseFloat(schedule.totalAmount).toLocaleString()}</span>
+              <span className="mini-label">Total</span>
+            </div>
+            <div className="mini-stat">
+              <span className="mini-value">{parseFloat(schedule.released).toLocaleString()}</span>
+              <span className="mini-label">Released</span>
+            </div>
+            <div className="mini-stat">
+              <span className="mini-value">
+                {now < schedule.start + schedule.cliff ? formatDuration(schedule.start + schedule.cliff - now) : 'Passed'}
+              </span>
+              <span className="mini-label">Cliff</span>
+            </div>
+            <div className="mini-stat">
+              <span className="mini-value">
+                {now < schedule.start + schedule.duration ? formatDuration(schedule.start + schedule.duration - now) : 'Complete'}
+              </span>
+              <span className="mini-label">Fully Vested</span>
+            </div>
+          </div>
+          {schedule.revoked && <p className="form-hint warning">This schedule has been revoked</p>}
+
+          <VestingTimeline schedule={schedule} releases={releases} now={now} />
+
+          <div className="alerts-section">
+            <div className="section-header">
+              <h3>Past Releases</h3>
+            </div>
+            {releasesQuery.isError ? (
+              <ReadError label="Release history" error={releasesQuery.error} />
+            ) : releasesQuery.isPending ? (
+              <div className="no-activity">Indexing releases...</div>
+            ) : releases.length === 0 ? (
+              <div className="no-activity">No releases yet</div>
+            ) : (
+              <div className="feed-list">
+                {[...releases].reverse().map(r => (
+                  <div key={r.txHash} className="feed-item">
+                    <span className="feed-icon">🔓</span>
+                    <div className="feed-content">
+                      <span className="feed-text">{parseFloat(r.amount).toLocaleString()} KAI</span>
+                      <span className="feed-time">{new Date(r.timestamp * 1000).toLocaleString()}</span>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+// Hash a file in the browser - its contents never leave the device
+const hashFile = async (file, algorithm) => {
+  const bytes = new Uint8Array(await file.arrayBuffer())
+  return algorithm === 'sha256' ? ethers.sha256(bytes) : ethers.keccak256(bytes)
+}
+
+// Evidence Page - Client-side hashing and KAI_LawEvidence registry
+function Evidence() {
+  const { addNotification } = useApp()
+  const { readNetworkId, isConnected, connect, isConnecting } = useWallet()
+  const evidence = useLawEvidence()
+  const [file, setFile] = useState(null)
+  const [algorithm, setAlgorithm] = useState('keccak256')
+  const [hash, setHash] = useState('')
+  const [description, setDescription] = useState('')
+  const [checkedHash, setCheckedHash] = useState(null)
+  const [dragging, setDragging] = useState(false)
+  const [hashing, setHashing] = useState(false)
+  const [submitting, setSubmitting] = useState(false)
+  const [lastTx, setLastTx] = useState(null)
+
+  // The registry lookup for the checked hash - a confirmed registration invalidates it
+  const verificationQuery = useQuery({ ...contractQueries.verifyEvidence(readNetworkId, checkedHash), enabled: !!checkedHash })
+  const verification = checkedHash ? verificationQuery.data ?? null : null
+
+  const verify = (evidenceHash) => {
+    if (!ethers.isHexString(evidenceHash, 32)) {
+      addNotification('Evidence hash must be 32 bytes (0x + 64 hex)', NOTIFICATION_TYPES.WARNING)
+      return
+    }
+    setCheckedHash(evidenceHash)
+  }
+
+  const handleFile = async (selectedFile, hashAlgorithm = algorithm) => {
+    if (!selectedFile) return
+    setFile(selectedFile)
+    setCheckedHash(null)
+    setLastTx(null)
+    setHashing(true)
+    try {
+      const fileHash = await hashFile(selectedFile, hashAlgorithm)
+      setHash(fileHash)
+      verify(fileHash)
+    } catch {
+      addNotification('Could not read file', NOTIFICATION_TYPES.ERROR)
+    } finally {
+      setHashing(false)
+    }
+  }
+
+  const handleDrop = (e) => {
+    e.preventDefault()
+    setDragging(false)
+    handleFile(e.dataTransfer.files[0])
+  }
+
+  const handleAlgorithm = (value) => {
+    setAlgorithm(value)
+    if (file) handleFile(file, value)
+  }
+
+  const handleSubmit = async () => {
+    if (!description.trim()) {
+      addNotification('Describe the evidence before submitting', NOTIFICATION_TYPES.WARNING)
+      return
+    }
+
+    setSubmitting(true)
+    const result = await evidence.submitEvidence(hash, sanitizeInput(description))
+    if (result) {
+      addNotification('Evidence registration submitted', NOTIFICATION_TYPES.INFO)
+      setLastTx(result.txHash)
+      setDescription('')
+    }
+    setSubmitting(false)
+  }
+
+  return (
+    <div className="evidence-page">
+      <div className="page-header">
+        <h2>Evidence Registry</h2>
+        <p className="subtitle">Files are hashed in your browser. Only the hash is ever sent on-chain.</p>
+      </div>
+
+      <div className="wallet-grid">
+        <div className="wallet-card">
+          <h3>1. Hash Evidence</h3>
+          <label
+            className={`evidence-dropzone ${dragging ? 'dragging' : ''}`}
+            onDragOver={(e) => { e.preventDefault(); setDragging(true) }}
+            onDragLeave={() => setDragging(false)}
+            onDrop={handleDrop}
+          >
+            <input type="file" onChange={(e) => handleFile(e.target.files[0])} hidden />
+            <span className="empty-icon">📄</span>
+            {file ? (
+              <span>{file.name} · {(file.size / 1024).toFixed(1)} KB</span>
+            ) : (
+              <span>Drop a file here or click to choose</span>
+            )}
+          </label>
+          <div className="filter-tabs evidence-algorithms">
+            {['keccak256', 'sha256'].map(a => (
+              <button
+                key={a}
+                className={`filter-tab ${algorithm === a ? 'active' : ''}`}
+                onClick={() => handleAlgorithm(a)}
+              >
+                {a === 'sha256' ? 'SHA-256' : 'Keccak-256'}
+              </button>
+            ))}
+          </div>
+          <div className="input-group">
+            <input
+              type="text"
+              placeholder="0x... evidence hash"
+              value={hashing ? 'Hashing...' : hash}
+              onChange={(e) => { setHash(e.target.value.trim()); setCheckedHash(null) }}
+              className="address-input"
+            />
+            <button onClick={() => verify(hash)} disabled={hashing || !hash} className="check-btn">Verify</button>
+          </div>
+        </div>
+
+        <div className="wallet-card">
+          <h3>2. Verification</h3>
+          {checkedHash && verificationQuery.isError ? (
+            <ReadError label="Verification" error={verificationQuery.error} />
+          ) : !verification ? (
+            <div className="no-activity">
+              {checkedHash ? 'Checking the registry...' : 'Hash a file or paste a hash to check the registry'}
+            </div>
+          ) : verification.exists ? (
+            <div className="evidence-verified">
+              <span className="evidence-status found">✓ Registered{verification.verified && ' · Verified'}</span>
+              {verification.description && <p>{verification.description}</p>}
+              <p className="form-hint">Timestamp: {new Date(verification.timestamp * 1000).toLocaleString()}</p>
+              <p className="form-hint">Submitter: <code>{verification.submitter}</code></p>
+            </div>
+          ) : (
+            <div className="evidence-verified">
+              <span className="evidence-status missing">Not registered</span>
+              <div className="form-group">
+                <label>Description</label>
+                <input
+                  type="text"
+                  placeholder="e.g., Land title deed, plot 42"
+                  value={description}
+                  onChange={(e) => setDescription(e.target.value)}
+                  maxLength={200}
+                />
+              </div>
+              {isConnected ? (
+                <button onClick={handleSubmit} disabled={submitting} className="connect-btn">
+                  {submitting ? 'Submitting...' : 'Register Evidence'}
+                </button>
+              ) : (
+                <button onClick={() => connect()} disabled={isConnecting} className="connect-btn">
+                  {isConnecting ? 'Connecting...' : 'Connect Wallet'}
+                </button>
+              )}
+            </div>
+          )}
+          {lastTx && <TxLink hash={lastTx} />}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+const CROP_TYPES = ['Maize', 'Cassava', 'Rice', 'Sorghum', 'Millet', 'Beans', 'Coffee', 'Cocoa', 'Tea', 'Wheat']
+
+// Agriculture Page - Parametric crop insurance through KAI_Agriculture
+function Agriculture() {
+  const { addNotification } = useApp()
+  const { account, readNetworkId, isConnected, connect, isConnecting } = useWallet()
+  const agriculture = useAgriculture()
+  const [form, setForm] = useState({ cropType: CROP_TYPES[0], coverage: '', region: '', premium: '' })
+  const [claim, setClaim] = useState(null)
+  const [pending, setPending] = useState(null)
+  const [lastTx, setLastTx] = useState(null)
+  const currency = NETWORKS[readNetworkId].currency.symbol
+
+  const policiesQuery = useQuery({ ...contractQueries.policies(readNetworkId, account), enabled: !!account })
+  const policies = [...(policiesQuery.data ?? [])].reverse()
+
+  const handleCreate = async (e) => {
+    e.preventDefault()
+    if (!(parseFloat(form.coverage) > 0) || !(parseFloat(form.premium) > 0)) {
+      addNotification('Coverage and premium are required', NOTIFICATION_TYPES.WARNING)
+      return
+    }
+    if (!form.region.trim()) {
+      addNotification('Region is required', NOTIFICATION_TYPES.WARNING)
+      return
+    }
+
+    setPending('create')
+    const result = await agriculture.createPolicy(form.cropType, form.coverage, sanitizeInput(form.region), form.premium)
+    if (result) {
+      addNotification('Policy creation submitted', NOTIFICATION_TYPES.INFO)
+      setLastTx(result.txHash)
+      setForm({ ...form, coverage: '', region: '', premium: '' })
+    }
+    setPending(null)
+  }
+
+  const handleEvidenceFile = async (file) => {
+    if (!file) return
+    try {
+      const evidenceHash = await hashFile(file, 'keccak256')
+      setClaim(prev => prev && { ...prev, evidenceHash, fileName: file.name })
+    } catch {
+      addNotification('Could not read file', NOTIFICATION_TYPES.ERROR)
+    }
+  }
+
+  const handleClaim = async () => {
+    if (!claim.evidenceHash?.trim()) {
+      addNotification('Attach evidence or paste an evidence hash', NOTIFICATION_TYPES.WARNING)
+      return
+    }
+
+    setPending(`claim-${claim.policyId}`)
+    const txHash = await agriculture.claimPolicy(claim.policyId, sanitizeInput(claim.evidenceHash))
+    if (txHash) {
+      addNotification(`Claim for policy #${claim.policyId} submitted`, NOTIFICATION_TYPES.INFO)
+      setLastTx(txHash)
+      setClaim(null)
+    }
+    setPending(null)
+  }
+
+  return (
+    <div className="agriculture-page">
+      <div className="page-header">
+        <h2>Crop Insurance</h2>
+        {account && policiesQuery.isSuccess && <span className="stat-pill total">{policies.length} Policies</span>}
+      </div>
+
+      <form onSubmit={handleCreate} className="alert-form">
+        <h3>Buy a Policy</h3>
+        <div className="form-grid">
+          <div className="form-group">
+            <label>Crop Type</label>
+            <select value={form.cropType} onChange={(e) => setForm({ ...form, cropType: e.target.value })}>
+              {CROP_TYPES.map(crop => <option key={crop} value={crop}>{crop}</option>)}
+            </select>
+          </div>
+          <div className="form-group">
+            <label>Coverage ({currency})</label>
+            <input
+              type="number"
+              min="0"
+              step="any"
+              value={form.coverage}
+              onChange={(e) => setForm({ ...form, coverage: e.target.value })}
+              required
+            />
+          </div>
+          <div className="form-group">
+            <label>Region</label>
+            <input
+              type="text"
+              placeholder="e.g., Rift Valley, Kenya"
+              value={form.region}
+              onChange={(e) => setForm({ ...form, region: e.target.value })}
+              maxLength={200}
+              required
+            />
+          </div>
+          <div className="form-group">
+            <label>Premium ({currency})</label>
+            <input
+              type="number"
+              min="0"
+              step="any"
+              value={form.premium}
+              onChange={(e) => setForm({ ...form, premium: e.target.value })}
+              required
+            />
+          </div>
+          {isConnected ? (
+            <button type="submit" disabled={!!pending} className="connect-btn">
+              {pending === 'create' ? 'Purchasing...' : '🌾 Buy Policy'}
+            </button>
+          ) : (
+            <button type="button" onClick={() => connect()} disabled={isConnecting} className="connect-btn">
+              {isConnecting ? 'Connecting...' : 'Connect Wallet'}
+            </button>
+          )}
+        </div>
+        {lastTx && <TxLink hash={lastTx} />}
+      </form>
+
+      <div className="alerts-section">
+        <div className="section-header">
+          <h3>My Policies</h3>
+        </div>
+        {!account ? (
+          <div className="no-activity">Connect your wallet to see your policies</div>
+        ) : policiesQuery.isError ? (
+          <ReadError label="Policies" error={policiesQuery.error} />
+        ) : policiesQuery.isPending ? (
+          <div className="no-activity">Indexing policies...</div>
+        ) : policies.length === 0 ? (
+          <div className="empty-state">
+            <span className="empty-icon">🌱</span>
+            <p>No policies yet</p>
+          </div>
+        ) : (
+          <div className="alerts-grid">
+            {policies.map(policy => (
+              <div key={policy.id} className={`alert-card policy-card policy-${policy.status}`}>
+                <div className="alert-header">
+                  <span className="alert-type-badge">🌾 {policy.cropType}</span>
+                  <span className={`proposal-status ${policy.status === 'paid' ? 'passed' : policy.status === 'claimed' ? 'active' : 'executed'}`}>
+                    {policy.status}
+                  </span>
+                </div>
+                <div className="alert-body">
+                  <h4>Policy #{policy.id}</h4>
+                  <p className="form-hint">Coverage {parseFloat(policy.coverage).toLocaleString()} {currency}</p>
+                  {policy.payout && (
+                    <p className="form-hint">Paid out {parseFloat(policy.payout).toLocaleString()} {currency}</p>
+                  )}
+                  {policy.evidenceHash && <code className="policy-evidence">{policy.evidenceHash}</code>}
+                </div>
+                {policy.status === 'active' && (
+                  claim?.policyId === policy.id ? (
+                    <div className="tx-form policy-claim">
+                      <input type="file" onChange={(e) => handleEvidenceFile(e.target.files[0])} />
+                      <input
+                        type="text"
+                        placeholder="Evidence hash"
+                        value={claim.evidenceHash || ''}
+                        onChange={(e) => setClaim({ ...claim, evidenceHash: e.target.value })}
+                        className="address-input"
+                      />
+                      <div className="proposal-actions">
+                        <button onClick={handleClaim} disabled={!!pending} className="vote-btn execute">
+                          {pending === `claim-${policy.id}` ? 'Filing...' : 'File Claim'}
+                        </button>
+                        <button onClick={() => setClaim(null)} disabled={!!pending} className="vote-btn">Cancel</button>
+                      </div>
+                    </div>
+                  ) : (
+                    <button
+                      onClick={() => setClaim({ policyId: policy.id, evidenceHash: '' })}
+                      disabled={!isConnected}
+                      className="vote-btn policy-claim"
+                    >
+                      File a Claim
+                    </button>
+                  )
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+// Health Page - Facility inspection requests, tracking and certification
+function Health() {
+  const { addNotification } = useApp()
+  const { account, readNetworkId, isConnected, connect, isConnecting } = useWallet()
+  const health = useHealth()
+  const [form, setForm] = useState({ facilityName: '', location: '' })
+  const [search, setSearch] = useState('')
+  const [certificates, setCertificates] = useState({})
+  const [pending, setPending] = useState(null)
+  const [lastTx, setLastTx] = useState(null)
+  const currency = NETWORKS[readNetworkId].currency.symbol
+
+  const feeQuery = useQuery(contractQueries.inspectionFee(readNetworkId))
+  const inspectionsQuery = useQuery(contractQueries.inspections(readNetworkId))
+  const inspectorQuery = useQuery({ ...contractQueries.isInspector(readNetworkId, account), enabled: !!account })
+
+  const loading = feeQuery.isPending
+  const fee = feeQuery.data ?? null
+  const inspections = [...(inspectionsQuery.data ?? [])].reverse()
+  const inspector = inspectorQuery.data === true
+
+  const handleRequest = async (e) => {
+    e.preventDefault()
+    if (!form.facilityName.trim() || !form.location.trim()) {
+      addNotification('Facility name and location are required', NOTIFICATION_TYPES.WARNING)
+      return
+    }
+
+    setPending('request')
+    const result = await health.requestInspection(sanitizeInput(form.facilityName), sanitizeInput(form.location))
+    if (result) {
+      addNotification('Inspection request submitted', NOTIFICATION_TYPES.INFO)
+      setLastTx(result.txHash)
+      setForm({ facilityName: '', location: '' })
+    }
+    setPending(null)
+  }
+
+  const handleCertificateFile = async (inspectionId, file) => {
+    if (!file) return
+    try {
+      const certificateHash = await hashFile(file, 'sha256')
+      setCertificates({ ...certificates, [inspectionId]: certificateHash })
+    } catch {
+      addNotification('Could not read file', NOTIFICATION_TYPES.ERROR)
+    }
+  }
+
+  const handleCertify = async (inspectionId) => {
+    const certificateHash = certificates[inspectionId]?.trim()
+    if (!certificateHash) {
+      addNotification('Attach the certificate or paste its hash', NOTIFICATION_TYPES.WARNING)
+      return
+    }
+
+    setPending(`certify-${inspectionId}`)
+    const txHash = await health.certifyFacility(inspectionId, sanitizeInput(certificateHash))
+    if (txHash) {
+      addNotification(`Certification of facility #${inspectionId} submitted`, NOTIFICATION_TYPES.INFO)
+      setLastTx(txHash)
+    }
+    setPending(null)
+  }
+
+  if (loading) return <LoadingScreen message="Loading Inspections..." />
+
+  const myInspections = account
+    ? inspections.filter(i => i.requester.toLowerCase() === account.toLowerCase())
+    : []
+  const awaitingCertificate = inspections.filter(i => i.status === 'passed')
+  const query = search.trim().toLowerCase()
+  const lookupResults = query
+    ? inspections.filter(i => String(i.id) === query || i.facilityName.toLowerCase().includes(query))
+    : []
+
+  const renderInspection = (inspection) => (
+    <div key={inspection.id} className={`feed-item inspection-${inspection.status}`}>
+      <span className="feed-icon">🏥</span>
+      <div className="feed-content">
+        <span className="feed-text">
+          #{inspection.id} {inspection.facilityName}
+          {inspection.certificateHash && <code className="policy-evidence">{inspection.certificateHash}</code>}
+        </span>
+        <span className={`proposal-status ${inspection.status}`}>{inspection.status}</span>
+      </div>
+    </div>
+  )
+
+  return (
+    <div className="health-page">
+      <div className="page-header">
+        <h2>Health Inspections</h2>
+        {fee !== null && <span className="stat-pill total">Fee {fee} {currency}</span>}
+      </div>
+
+      <form onSubmit={handleRequest} className="alert-form">
+        <h3>Request an Inspection</h3>
+        <div className="form-grid">
+          <div className="form-group">
+            <label>Facility Name</label>
+            <input
+              type="text"
+              placeholder="e.g., Kibera Community Clinic"
+              value={form.facilityName}
+              onChange={(e) => setForm({ ...form, facilityName: e.target.value })}
+              maxLength={200}
+              required
+            />
+          </div>
+          <div className="form-group">
+            <label>Location</label>
+            <input
+              type="text"
+              placeholder="e.g., Nairobi, Kenya"
+              value={form.location}
+              onChange={(e) => setForm({ ...form, location: e.target.value })}
+              maxLength={200}
+              required
+            />
+          </div>
+          {isConnected ? (
+            <button type="submit" disabled={!!pending || fee === null} className="connect-btn">
+              {pending === 'request' ? 'Requesting...' : `Request (${fee ?? '—'} ${currency})`}
+            </button>
+          ) : (
+            <button type="button" onClick={() => connect()} disabled={isConnecting} className="connect-btn">
+              {isConnecting ? 'Connecting...' : 'Connect Wallet'}
+            </button>
+          )}
+          {feeQuery.isError && (
+            <p className="form-hint warning">Inspection fee unavailable: {decodeContractError(feeQuery.error).message}</p>
+          )}
+        </div>
+        {lastTx && <TxLink hash={lastTx} />}
+      </form>
+
+      {inspectionsQuery.isError ? (
+        <ReadError label="Inspections" error={inspectionsQuery.error} />
+      ) : inspectionsQuery.isPending ? (
+        <div className="no-activity">Indexing inspections...</div>
+      ) : (
+        <div className="wallet-grid">
+          <div className="wallet-card">
+            <h3>My Inspections</h3>
+            {!account ? (
+              <div className="no-activity">Connect your wallet to track your requests</div>
+            ) : myInspections.length === 0 ? (
+              <div className="no-activity">No inspections requested</div>
+            ) : (
+              <div className="feed-list">{myInspections.map(renderInspection)}</div>
+            )}
+          </div>
+
+          <div className="wallet-card">
+            <h3>Certificate Lookup</h3>
+            <input
+              type="text"
+              placeholder="Inspection # or facility name"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              className="address-input health-search"
+            />
+            {query && (lookupResults.length === 0 ? (
+              <div className="no-activity">No matching inspections</div>
+            ) : (
+              <div className="feed-list">{lookupResults.map(renderInspection)}</div>
+            ))}
+          </div>
+
+          {inspector && (
+            <div className="wallet-card result-card">
+              <h3>Inspector: Awaiting Certificate</h3>
+              {awaitingCertificate.length === 0 ? (
+                <div className="no-activity">No passed inspections awaiting a certificate</div>
+              ) : (
+                <div className="feed-list">
+                  {awaitingCertificate.map(inspection => (
+                    <div key={inspection.id} className="feed-item certify-item">
+                      <span className="feed-text">#{inspection.id} {inspection.facilityName}</span>
+                      <input type="file" onChange={(e) => handleCertificateFile(inspection.id, e.target.files[0])} />
+                      <input
+                        type="text"
+                        placeholder="Certificate hash"
+                        value={certificates[inspection.id] || ''}
+                        onChange={(e) => setCertificates({ ...certificates, [inspection.id]: e.target.value })}
+                        className="address-input"
+                      />
+                      <button
+                        onClick={() => handleCertify(inspection.id)}
+                        disabled={!!pending}
+                        className="vote-btn execute"
+                      >
+                        {pending === `certify-${inspection.id}` ? 'Certifying...' : 'Certify'}
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+// 7 Pillars Page - Enhanced with detailed information
+function Pillars() {
+  const [selectedPillar, setSelectedPillar] = useState(null)
+
+  const pillars = [
+    {
+      name: 'Governance',
+      icon: '🏛️',
+      color: '#6366f1',
+      desc: 'Decentralized decision making',
+      fullDescription: 'The Governance pillar enables transparent, democratic decision-making for African communities through blockchain-based voting and proposal systems. It empowers citizens to participate in local and national governance without intermediaries.',
+      howItWorks: [
+        'Community members stake KAI tokens to gain voting power',
+        'Proposals are submitted on-chain with required documentation',
+        'Quadratic voting ensures fair representation (prevents whale domination)',
+        '48-hour timelock on approved proposals for security review',
+        'Multi-signature guardian system can veto malicious proposals'
+      ],
+      transactions: [
+        { name: 'propose()', desc: 'Submit a new governance proposal', cost: '10,000 KAI stake' },
+        { name: 'castVote()', desc: 'Vote on active proposals', cost: 'Gas only' },
+        { name: 'delegate()', desc: 'Delegate voting power to trusted representatives', cost: 'Gas only' },
+        { name: 'executeProposal()', desc: 'Execute approved proposals after timelock', cost: 'Gas only' }
+      ],
+      impact: {
+        savings: 'Reduces corruption by 60% through transparent fund tracking',
+        reach: '50M+ citizens across 15 African nations',
+        efficiency: '90% reduction in bureaucratic delays'
+      },
+      change: 'Transforms governance from opaque, centralized systems to transparent, community-driven decision making. Citizens can track every government expenditure and vote on resource allocation in real-time.'
+    },
+    {
+      name: 'Law',
+      icon: '⚖️',
+      color: '#8b5cf6',
+      desc: 'Evidence registry & legal protection',
+      fullDescription: 'The Law pillar provides immutable evidence storage, smart contract-based legal agreements, and decentralized dispute resolution. It brings accessible justice to underserved communities across Africa.',
+      howItWorks: [
+        'Evidence (documents, photos, videos) hashed and stored on IPFS with blockchain timestamps',
+        'Smart contracts create legally-binding agreements without expensive lawyers',
+        'Dispute resolution through trained community arbitrators paid in KAI',
+        'Land titles and property rights recorded permanently on-chain',
+        'Identity verification through decentralized ID system'
+      ],
+      transactions: [
+        { name: 'registerEvidence()', desc: 'Store timestamped evidence on-chain', cost: '5 KAI' },
+        { name: 'createContract()', desc: 'Generate legal smart contract', cost: '50 KAI' },
+        { name: 'initiateDispute()', desc: 'Start arbitration process', cost: '100 KAI (refundable)' },
+        { name: 'registerLandTitle()', desc: 'Register property ownership', cost: '200 KAI' }
+      ],
+      impact: {
+        savings: 'Legal costs reduced by 80% compared to traditional courts',
+        reach: '2M+ land titles secured, protecting family inheritances',
+        efficiency: 'Dispute resolution in 7 days vs 2+ years traditional courts'
+      },
+      change: 'Provides access to justice for the 70% of Africans who cannot afford legal representation. Protects property rights, preserves evidence against corruption, and enables enforceable contracts for small businesses.'
+    },
+    {
+      name: 'Agriculture',
+      icon: '🌾',
+      color: '#22c55e',
+      desc: 'Parametric insurance for farmers',
+      fullDescription: 'The Agriculture pillar protects African farmers with blockchain-based parametric insurance that pays automatically when weather conditions trigger losses. No claims process, no delays, no denial of legitimate claims.',
+      howItWorks: [
+        'Farmers stake KAI to purchase crop insurance coverage',
+        'Weather oracles monitor rainfall, temperature, and satellite crop health data',
+        'Smart contracts automatically trigger payouts when conditions breach thresholds',
+        'No paperwork, no adjusters, no waiting - payouts within hours',
+        'Historical data builds farmer credit scores for future loans'
+      ],
+      transactions: [
+        { name: 'purchaseInsurance()', desc: 'Buy parametric crop coverage', cost: '2-5% of coverage amount' },
+        { name: 'claimPayout()', desc: 'Automatic payout when oracle triggers', cost: 'Gas only' },
+        { name: 'stakeForCredit()', desc: 'Build credit history through staking', cost: 'Variable stake' },
+        { name: 'joinCooperative()', desc: 'Pool resources with other farmers', cost: '10 KAI' }
+      ],
+      impact: {
+        savings: '$500M+ in prevented crop losses through early warnings',
+        reach: '5M+ smallholder farmers protected across East Africa',
+        efficiency: '24-hour payout vs 6+ months traditional insurance'
+      },
+      change: 'Transforms farming from high-risk survival to sustainable business. Farmers can invest in better seeds, equipment, and techniques knowing they\'re protected against climate disasters. Breaks the cycle of poverty from crop failures.'
+    },
+    {
+      name: 'Health',
+      icon: '🏥',
+      color: '#ef4444',
+      desc: 'Food safety & health inspections',
+      fullDescription: 'The Health pillar ensures food safety through blockchain-tracked supply chains, enables telemedicine access in remote areas, and provides transparent health record management that patients control.',
+      howItWorks: [
+        'QR codes track food from farm to table with immutable provenance records',
+        'Health inspectors submit reports on-chain, preventing bribery and falsification',
+        'Patient-controlled health records shared securely with authorized providers',
+        'Telemedicine consultations paid in KAI, reaching remote villages',
         'Drug authenticity verification to combat counterfeit medicines'
       ],
       transactions: [
@@ -2848,6 +5178,218 @@ function Pillars() {
   )
 }
 
+// Wrong Network Banner - shown while the wallet is on a chain missing from NETWORKS
+function NetworkGuard() {
+  const { chainId, isSupportedNetwork, switchNetwork } = useWallet()
+  const [switching, setSwitching] = useState(false)
+
+  if (isSupportedNetwork) return null
+
+  const handleSwitch = async () => {
+    setSwitching(true)
+    await switchNetwork(DEFAULT_NETWORK)
+    setSwitching(false)
+  }
+
+  return (
+    <div className="network-guard">
+      <span className="network-guard-icon">⚠️</span>
+      <span>
+        Your wallet is on an unsupported network (chain {chainId}). Transactions are disabled until you switch.
+      </span>
+      <button onClick={handleSwitch} disabled={switching} className="network-guard-btn">
+        {switching ? 'Switching...' : `Switch to ${NETWORKS[DEFAULT_NETWORK].name}`}
+      </button>
+    </div>
+  )
+}
+
+// Deployment Notice - contracts missing or with an invalid address on the active
+// network, as found by validateConfig() at startup
+function DeploymentNotice({ missingContracts }) {
+  const { networkId } = useWallet()
+  const [dismissed, setDismissed] = useState(false)
+  const activeNetwork = networkId || DEFAULT_NETWORK
+  const missing = missingContracts[activeNetwork] || []
+
+  if (dismissed || missing.length === 0) return null
+
+  return (
+    <div className="network-guard deployment-notice">
+      <span className="network-guard-icon">🚧</span>
+      <span>
+        Not deployed or misconfigured on {NETWORKS[activeNetwork].name}: {missing.join(', ')}
+      </span>
+      <button onClick={() => setDismissed(true)} className="network-guard-btn">Dismiss</button>
+    </div>
+  )
+}
+
+// Transaction statuses mapped onto the shared status badge colours
+const TX_STATUS_CLASSES = {
+  pending: 'pending',
+  confirmed: 'passed',
+  failed: 'failed',
+  cancelled: 'defeated',
+  replaced: 'defeated'
+}
+
+// Transaction Tray - pending and recent transactions, persisted across reloads
+function TransactionTray() {
+  const { addNotification } = useApp()
+  const { transactions, pendingCount, speedUp, cancel, clearSettled, watchSettled } = useTransactions()
+  const [open, setOpen] = useState(false)
+  const [replacing, setReplacing] = useState(null)
+
+  // Pages report submissions; the outcome of every tracked transaction is toasted here
+  useEffect(() => watchSettled(tx => {
+    addNotification(
+      `${tx.label}: ${tx.status}`,
+      tx.status === 'confirmed' ? NOTIFICATION_TYPES.SUCCESS : NOTIFICATION_TYPES.ERROR
+    )
+  }), [watchSettled, addNotification])
+
+  const handleReplace = async (id, action) => {
+    setReplacing(id)
+    const hash = await (action === 'cancel' ? cancel(id) : speedUp(id))
+    if (hash) {
+      addNotification(`${action === 'cancel' ? 'Cancellation' : 'Speed-up'} sent`, NOTIFICATION_TYPES.INFO)
+    }
+    setReplacing(null)
+  }
+
+  if (transactions.length === 0) return null
+
+  return (
+    <div className="tx-tray">
+      <button className={`tx-tray-btn ${pendingCount > 0 ? 'pending' : ''}`} onClick={() => setOpen(!open)}>
+        {pendingCount > 0 ? `⏳ ${pendingCount} pending` : '✓ Transactions'}
+      </button>
+      {open && (
+        <div className="tx-tray-panel">
+          <div className="tx-tray-header">
+            <span>Transactions</span>
+            <button onClick={clearSettled} className="tx-tray-clear">Clear finished</button>
+          </div>
+          {transactions.map(tx => {
+            const url = getTxExplorerUrl(tx.hash, getNetworkIdByChainId(tx.chainId) || DEFAULT_NETWORK)
+            return (
+              <div key={tx.id} className="tx-tray-item">
+                <div className="tx-tray-row">
+                  <span>{tx.label}</span>
+                  <span className={`proposal-status ${TX_STATUS_CLASSES[tx.status]}`}>
+                    {tx.cancelling && tx.status === 'pending' ? 'cancelling' : tx.status}
+                  </span>
+                </div>
+                <a href={url} target="_blank" rel="noopener noreferrer" className="tx-hash">
+                  {shortAddress(tx.hash)} ↗
+                </a>
+                {tx.status === 'pending' && (
+                  <div className="proposal-actions">
+                    <button
+                      onClick={() => handleReplace(tx.id, 'speedUp')}
+                      disabled={replacing === tx.id || tx.cancelling}
+                      className="vote-btn for"
+                    >
+                      Speed up
+                    </button>
+                    <button
+                      onClick={() => handleReplace(tx.id, 'cancel')}
+                      disabled={replacing === tx.id}
+                      className="vote-btn against"
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                )}
+              </div>
+            )
+          })}
+        </div>
+      )}
+    </div>
+  )
+}
+
+// Transaction Confirm Dialog - shown after a write simulates successfully, before the wallet prompt
+function TransactionConfirmDialog({ request, queued, onResolve }) {
+  if (!request) return null
+
+  return (
+    <div className="pillar-modal-overlay" onClick={() => onResolve(false)}>
+      <div className="wallet-card tx-confirm-dialog" onClick={e => e.stopPropagation()}>
+        <h3>Confirm Transaction</h3>
+        <div className="tx-confirm">
+          <p><strong>{request.label}</strong> on {request.network}</p>
+          {request.value && (
+            <div className="stat-row">
+              <span>Value</span>
+              <span>{parseFloat(request.value).toLocaleString()} {request.currency}</span>
+            </div>
+          )}
+          <div className="stat-row">
+            <span>Estimated fee</span>
+            <span>~{parseFloat(request.fee).toPrecision(3)} {request.currency}</span>
+          </div>
+          {request.maxFee && (
+            <div className="stat-row">
+              <span>Max fee</span>
+              <span>{parseFloat(request.maxFee).toPrecision(3)} {request.currency}</span>
+            </div>
+          )}
+          <p className="form-hint">Simulation passed · {request.gasLimit.toLocaleString()} gas</p>
+          {queued > 0 && <p className="form-hint">{queued} more waiting for confirmation</p>}
+          <div className="proposal-actions">
+            <button onClick={() => onResolve(true)} className="vote-btn execute">Continue to Wallet</button>
+            <button onClick={() => onResolve(false)} className="vote-btn">Cancel</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+// Not Deployed State - shown in place of features whose contracts have no address on the active network
+function NotDeployed({ contracts, networkId }) {
+  return (
+    <div className="empty-state not-deployed">
+      <span className="empty-icon">🚧</span>
+      <p>Not deployed on {NETWORKS[networkId].name}</p>
+      <p className="form-hint">Missing: {contracts.join(', ')}</p>
+    </div>
+  )
+}
+
+// Read Error - shown in place of contract data whose query failed, so a failed read never passes for no data
+function ReadError({ label, error }) {
+  return (
+    <div className="empty-state read-error">
+      <span className="empty-icon">⚠️</span>
+      <p>{label} unavailable</p>
+      <p className="form-hint">{decodeContractError(error).message}</p>
+    </div>
+  )
+}
+
+// Deployment Gate - renders the page only when all of its contracts are deployed on the active network,
+// and waits for the wallet to report its chain before deciding
+function RequireDeployment({ contracts, children }) {
+  const { readNetworkId: networkId } = useWallet()
+  if (!networkId) return <LoadingScreen message="Connecting to network..." />
+
+  const missing = contracts.filter(name => !isContractDeployed(name, networkId))
+
+  if (missing.length > 0) {
+    return (
+      <div className="page-container">
+        <NotDeployed contracts={missing} networkId={networkId} />
+      </div>
+    )
+  }
+
+  return children
+}
+
 // Loading Screen
 function LoadingScreen({ message = 'Loading...' }) {
   return (
@@ -2965,15 +5507,38 @@ function AppProvider({ children }) {
     setNotifications(prev => prev.filter((_, i) => i !== index))
   }, [])
 
+  const [confirmQueue, setConfirmQueue] = useState([])
+
+  // Simulated writes queue here for the user to accept the estimated fee, one
+  // dialog at a time, so every pending write gets an answer
+  useEffect(() => setTransactionConfirmer(request => new Promise(resolve => {
+    setConfirmQueue(queue => [...queue, { ...request, resolve }])
+  })), [])
+
+  const resolveConfirm = (approved) => {
+    confirmQueue[0].resolve(approved)
+    setConfirmQueue(queue => queue.slice(1))
+  }
+
+  // Failed contract writes are notified here, once, with a decoded reason
+  useEffect(() => watchContractErrors(({ category, message }) => {
+    addNotification(message, category === ERROR_CATEGORIES.REJECTED ? NOTIFICATION_TYPES.WARNING : NOTIFICATION_TYPES.ERROR)
+  }), [addNotification])
+
   return (
     <AppContext.Provider value={{ addNotification, removeNotification, notifications }}>
       {children}
+      <TransactionConfirmDialog
+        request={confirmQueue[0] || null}
+        queued={confirmQueue.length - 1}
+        onResolve={resolveConfirm}
+      />
       <ToastContainer notifications={notifications} removeNotification={removeNotification} />
     </AppContext.Provider>
   )
 }
 
-function AppContent() {
+function AppContent({ missingContracts }) {
   const location = useLocation()
 
   return (
@@ -2991,18 +5556,38 @@ function AppContent() {
           <Link to="/contracts" className={location.pathname === '/contracts' ? 'active' : ''}>Contracts</Link>
           <Link to="/alerts" className={location.pathname === '/alerts' ? 'active' : ''}>Alerts</Link>
           <Link to="/wallet" className={location.pathname === '/wallet' ? 'active' : ''}>Wallet</Link>
+          <Link to="/checkout" className={location.pathname === '/checkout' ? 'active' : ''}>Checkout</Link>
+          <Link to="/staking" className={location.pathname === '/staking' ? 'active' : ''}>Staking</Link>
+          <Link to="/burn" className={location.pathname === '/burn' ? 'active' : ''}>Burn</Link>
+          <Link to="/governance" className={location.pathname === '/governance' ? 'active' : ''}>Governance</Link>
+          <Link to="/vesting" className={location.pathname === '/vesting' ? 'active' : ''}>Vesting</Link>
+          <Link to="/evidence" className={location.pathname === '/evidence' ? 'active' : ''}>Evidence</Link>
+          <Link to="/agriculture" className={location.pathname === '/agriculture' ? 'active' : ''}>Agriculture</Link>
+          <Link to="/health" className={location.pathname === '/health' ? 'active' : ''}>Health</Link>
           <Link to="/pillars" className={location.pathname === '/pillars' ? 'active' : ''}>Pillars</Link>
           <Link to="/network" className={location.pathname === '/network' ? 'active' : ''}>Network</Link>
         </nav>
+        <TransactionTray />
         <ConnectionStatus />
       </header>
 
+      <NetworkGuard />
+      <DeploymentNotice missingContracts={missingContracts} />
+
       <main className="main">
         <Routes>
           <Route path="/" element={<Dashboard />} />
           <Route path="/contracts" element={<Contracts />} />
           <Route path="/alerts" element={<Alerts />} />
           <Route path="/wallet" element={<Wallet />} />
+          <Route path="/checkout" element={<RequireDeployment contracts={['KAIRevenue', 'KAIToken']}><Checkout /></RequireDeployment>} />
+          <Route path="/staking" element={<RequireDeployment contracts={['ClimateAlertStaking', 'KAIToken']}><Staking /></RequireDeployment>} />
+          <Route path="/burn" element={<RequireDeployment contracts={['KAIToken']}><Burn /></RequireDeployment>} />
+          <Route path="/governance" element={<RequireDeployment contracts={['KAIGovernance', 'KAIToken']}><Governance /></RequireDeployment>} />
+          <Route path="/vesting" element={<RequireDeployment contracts={['KAIVesting', 'KAIToken']}><Vesting /></RequireDeployment>} />
+          <Route path="/evidence" element={<RequireDeployment contracts={['KAI_LawEvidence']}><Evidence /></RequireDeployment>} />
+          <Route path="/agriculture" element={<RequireDeployment contracts={['KAI_Agriculture']}><Agriculture /></RequireDeployment>} />
+          <Route path="/health" element={<RequireDeployment contracts={['KaiHealth']}><Health /></RequireDeployment>} />
           <Route path="/pillars" element={<Pillars />} />
           <Route path="/network" element={<NetworkFeed />} />
         </Routes>
@@ -3018,12 +5603,12 @@ function AppContent() {
   )
 }
 
-function App() {
+function App({ missingContracts = {} }) {
   return (
     <ErrorBoundaryWrapper>
       <BrowserRouter>
         <AppProvider>
-          <AppContent />
+          <AppContent missingContracts={missingContracts} />
         </AppProvider>
       </BrowserRouter>
     </ErrorBoundaryWrapper>
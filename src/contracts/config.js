@@ -4,72 +4,94 @@
  * Deployed contract addresses and ABIs for frontend integration
  */
 
-// Network configurations
+import { isAddress } from 'ethers'
+
+// Multicall3 is deployed at the same address on most public chains
+const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11'
+
+// Build-time indexer start block from VITE_<NETWORK>_START_BLOCK (null when unset)
+const envStartBlock = (networkId) => {
+  const value = import.meta.env[`VITE_${networkId.toUpperCase()}_START_BLOCK`]
+  const block = value ? Number(value) : NaN
+  return Number.isInteger(block) && block >= 0 ? block : null
+}
+
+// Network configurations - `multicall` is the aggregator used to batch reads
+// (leave empty to fall back to parallel calls); `startBlock` is where the event
+// indexer scans from when the deployments manifest has no deployment block
 export const NETWORKS = {
   polygon: {
     chainId: 137,
     name: 'Polygon Mainnet',
     rpcUrl: 'https://polygon-rpc.com',
     explorer: 'https://polygonscan.com',
-    currency: { name: 'MATIC', symbol: 'MATIC', decimals: 18 }
+    currency: { name: 'MATIC', symbol: 'MATIC', decimals: 18 },
+    multicall: MULTICALL3_ADDRESS,
+    startBlock: envStartBlock('polygon')
   },
   amoy: {
     chainId: 80002,
     name: 'Polygon Amoy Testnet',
     rpcUrl: 'https://rpc-amoy.polygon.technology',
     explorer: 'https://www.oklink.com/amoy',
-    currency: { name: 'MATIC', symbol: 'MATIC', decimals: 18 }
+    currency: { name: 'MATIC', symbol: 'MATIC', decimals: 18 },
+    multicall: MULTICALL3_ADDRESS,
+    startBlock: envStartBlock('amoy')
   },
   hardhat: {
     chainId: 31337,
     name: 'Hardhat Local',
     rpcUrl: 'http://127.0.0.1:8545',
     explorer: '',
-    currency: { name: 'ETH', symbol: 'ETH', decimals: 18 }
+    currency: { name: 'ETH', symbol: 'ETH', decimals: 18 },
+    // Not predeployed on a local node - set after deploying Multicall3
+    multicall: import.meta.env.VITE_HARDHAT_MULTICALL || '',
+    startBlock: 0
   }
 }
 
 // Default network (change this when deploying)
 export const DEFAULT_NETWORK = 'amoy'
 
-// Contract addresses (update after deployment)
-export const CONTRACT_ADDRESSES = {
-  hardhat: {
-    KAIToken: '',
-    KAIRevenue: '',
-    KAIGovernance: '',
-    ClimateAlertStaking: '',
-    KAI_Oracle: '',
-    KaiHealth: '',
-    KAI_Agriculture: '',
-    KAI_LawEvidence: '',
-    KaiDisasterResponse: '',
-    KAIVesting: ''
-  },
-  amoy: {
-    KAIToken: '',
-    KAIRevenue: '',
-    KAIGovernance: '',
-    ClimateAlertStaking: '',
-    KAI_Oracle: '',
-    KaiHealth: '',
-    KAI_Agriculture: '',
-    KAI_LawEvidence: '',
-    KaiDisasterResponse: '',
-    KAIVesting: ''
-  },
-  polygon: {
-    KAIToken: '',
-    KAIRevenue: '',
-    KAIGovernance: '',
-    ClimateAlertStaking: '',
-    KAI_Oracle: '',
-    KaiHealth: '',
-    KAI_Agriculture: '',
-    KAI_LawEvidence: '',
-    KaiDisasterResponse: '',
-    KAIVesting: ''
-  }
+// Contracts the frontend integrates with
+export const CONTRACT_NAMES = [
+  'KAIToken',
+  'KAIRevenue',
+  'KAIGovernance',
+  'ClimateAlertStaking',
+  'KAI_Oracle',
+  'KaiHealth',
+  'KAI_Agriculture',
+  'KAI_LawEvidence',
+  'KaiDisasterResponse',
+  'KAIVesting'
+]
+
+// Build-time address from VITE_<NETWORK>_<CONTRACT>, e.g. VITE_AMOY_KAITOKEN
+const envAddress = (networkId, contractName) =>
+  import.meta.env[`VITE_${networkId.toUpperCase()}_${contractName.toUpperCase()}`] || ''
+
+// Contract addresses per network - seeded from env, overridden by /deployments.json
+export const CONTRACT_ADDRESSES = Object.fromEntries(
+  Object.keys(NETWORKS).map(networkId => [
+    networkId,
+    Object.fromEntries(CONTRACT_NAMES.map(name => [name, envAddress(networkId, name)]))
+  ])
+)
+
+// Deployment block per network and contract, filled from /deployments.json
+const DEPLOYMENT_BLOCKS = Object.fromEntries(Object.keys(NETWORKS).map(networkId => [networkId, {}]))
+
+// Struct return types of the contract getters, decoded by the struct formatters in
+// useContracts.js. ABI entries name the struct, so its shape is defined once
+const ABI_STRUCTS = {
+  Proposal: 'tuple(uint256 id, address proposer, string title, string description, uint8 proposalType, uint256 forVotes, uint256 againstVotes, uint256 createdAt, bool executed)',
+  OracleData: 'tuple(string region, uint8 riskType, uint8 level, uint256 updatedAt, address reporter)',
+  Inspection: 'tuple(uint256 id, address requester, string facilityName, string location, uint256 fee, uint256 requestedAt, bool completed, bool passed, string certificateHash)',
+  Policy: 'tuple(uint256 id, address farmer, string cropType, string region, uint256 coverage, uint256 premium, uint256 createdAt, bool claimed, bool paid, string evidenceHash)',
+  Evidence: 'tuple(bytes32 hash, address submitter, string description, uint256 timestamp, bool verified)',
+  Incident: 'tuple(uint256 id, uint8 disasterType, string location, uint8 severity, string description, address reporter, uint256 reportedAt, uint256 aidDisbursed, bool resolved)',
+  VestingSchedule: 'tuple(uint256 totalAmount, uint256 released, uint256 start, uint256 cliff, uint256 duration, bool revoked)'
 }
 
 // Minimal ABIs for frontend interaction
@@ -86,6 +108,12 @@ export const ABIS = {
     'function approve(address spender, uint256 amount) returns (bool)',
     'function allowance(address owner, address spender) view returns (uint256)',
     'function transferFrom(address from, address to, uint256 amount) returns (bool)',
+    // EIP-2612 permit (EIP-5267 domain is optional). Spenders only take permits
+    // through a buyAlertWithPermit/stakeWithPermit entry in their own ABI below
+    'function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)',
+    'function nonces(address owner) view returns (uint256)',
+    'function DOMAIN_SEPARATOR() view returns (bytes32)',
+    'function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)',
     // Custom
     'function totalBurned() view returns (uint256)',
     'function burnedByAddress(address account) view returns (uint256)',
@@ -124,11 +152,20 @@ export const ABIS = {
     'function propose(string title, string description, uint8 proposalType) returns (uint256)',
     'function vote(uint256 proposalId, bool support)',
     'function executeProposal(uint256 proposalId)',
-    'function getProposal(uint256 proposalId) view returns (tuple)',
+    `function getProposal(uint256 proposalId) view returns (${ABI_STRUCTS.Proposal})`,
     'function hasVoted(uint256 proposalId, address voter) view returns (bool)',
+    'function getVoteReceipt(uint256 proposalId, address voter) view returns (bool support, uint256 weight, uint256 delegatedWeight)',
+    // Delegation - delegated power counts toward the delegate's vote weight.
+    // Not every deployment has these; contractQueries.delegation checks the
+    // deployed contract and the UI hides delegation where they are missing
+    'function delegate(address delegatee)',
+    'function undelegate()',
+    'function delegates(address account) view returns (address)',
+    'function delegatedVotingPower(address account) view returns (uint256)',
     'event ProposalCreated(uint256 indexed proposalId, address proposer, string title)',
     'event VoteCast(uint256 indexed proposalId, address indexed voter, bool support, uint256 weight)',
-    'event ProposalExecuted(uint256 indexed proposalId)'
+    'event ProposalExecuted(uint256 indexed proposalId)',
+    'event DelegateChanged(address indexed delegator, address indexed fromDelegate, address indexed toDelegate)'
   ],
 
   // Climate Alert Staking
@@ -150,7 +187,7 @@ export const ABIS = {
   // Oracle
   KAI_Oracle: [
     'function getRiskLevel(string region, uint8 riskType) view returns (uint8)',
-    'function getLatestData(string region) view returns (tuple)',
+    `function getLatestData(string region) view returns (${ABI_STRUCTS.OracleData})`,
     'function isHighRisk(string region) view returns (bool)',
     'event DataUpdated(string indexed region, uint8 riskType, uint8 level)',
     'event AlertTriggered(string indexed region, uint8 severity)'
@@ -159,9 +196,11 @@ export const ABIS = {
   // Health
   KaiHealth: [
     'function inspectionFee() view returns (uint256)',
-    'function getInspection(uint256 inspectionId) view returns (tuple)',
+    `function getInspection(uint256 inspectionId) view returns (${ABI_STRUCTS.Inspection})`,
     'function requestInspection(string facilityName, string location) payable returns (uint256)',
     'function certifyFacility(uint256 inspectionId, string certificateHash)',
+    'function INSPECTOR_ROLE() view returns (bytes32)',
+    'function hasRole(bytes32 role, address account) view returns (bool)',
     'event InspectionRequested(uint256 indexed id, address requester, string facilityName)',
     'event InspectionCompleted(uint256 indexed id, bool passed)',
     'event FacilityCertified(uint256 indexed id, string certificateHash)'
@@ -169,7 +208,7 @@ export const ABIS = {
 
   // Agriculture
   KAI_Agriculture: [
-    'function getPolicyDetails(uint256 policyId) view returns (tuple)',
+    `function getPolicyDetails(uint256 policyId) view returns (${ABI_STRUCTS.Policy})`,
     'function createPolicy(string cropType, uint256 coverage, string region) payable returns (uint256)',
     'function claimPolicy(uint256 policyId, string evidenceHash)',
     'event PolicyCreated(uint256 indexed policyId, address farmer, string cropType, uint256 coverage)',
@@ -179,7 +218,7 @@ export const ABIS = {
 
   // Law / Evidence
   KAI_LawEvidence: [
-    'function getEvidence(bytes32 evidenceHash) view returns (tuple)',
+    `function getEvidence(bytes32 evidenceHash) view returns (${ABI_STRUCTS.Evidence})`,
     'function submitEvidence(bytes32 evidenceHash, string description) returns (uint256)',
     'function verifyEvidence(bytes32 evidenceHash) view returns (bool exists, uint256 timestamp, address submitter)',
     'event EvidenceSubmitted(bytes32 indexed hash, address indexed submitter, uint256 timestamp)',
@@ -189,7 +228,7 @@ export const ABIS = {
   // Disaster Response
   KaiDisasterResponse: [
     'function emergencyFund() view returns (uint256)',
-    'function getIncident(uint256 incidentId) view returns (tuple)',
+    `function getIncident(uint256 incidentId) view returns (${ABI_STRUCTS.Incident})`,
     'function reportIncident(uint8 disasterType, string location, uint8 severity, string description) returns (uint256)',
     'function requestAid(uint256 incidentId, uint256 amount, string reason)',
     'event IncidentReported(uint256 indexed id, uint8 disasterType, string location, uint8 severity)',
@@ -200,14 +239,51 @@ export const ABIS = {
   // Vesting
   KAIVesting: [
     'function token() view returns (address)',
-    'function getVestingSchedule(address beneficiary) view returns (tuple)',
+    `function getVestingSchedule(address beneficiary) view returns (${ABI_STRUCTS.VestingSchedule})`,
     'function releasable(address beneficiary) view returns (uint256)',
     'function release(address beneficiary)',
     'event VestingScheduleCreated(address indexed beneficiary, uint256 amount, uint256 cliff, uint256 duration)',
     'event TokensReleased(address indexed beneficiary, uint256 amount)'
+  ],
+
+  // Read batching
+  Multicall3: [
+    'function aggregate3(tuple(address target, bool allowFailure, bytes callData)[] calls) payable returns (tuple(bool success, bytes returnData)[] returnData)'
   ]
 }
 
+// KAI_Oracle riskType ids (uint8), by risk name
+export const ORACLE_RISK_TYPES = {
+  flood: 0,
+  drought: 1,
+  cyclone: 2,
+  heatwave: 3,
+  disease: 4
+}
+
+// KAI_Oracle risk levels are scores from 0 to this maximum
+export const ORACLE_RISK_LEVEL_MAX = 100
+
+// Region keys KAI_Oracle stores data under, by map region id
+export const ORACLE_REGIONS = {
+  north: 'north-africa',
+  west: 'west-africa',
+  east: 'east-africa',
+  central: 'central-africa',
+  south: 'southern-africa'
+}
+
+// Custom errors shared by the KAI contracts (OpenZeppelin v5), used to decode revert data
+export const CONTRACT_ERRORS = [
+  'error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)',
+  'error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)',
+  'error ERC20InvalidReceiver(address receiver)',
+  'error AccessControlUnauthorizedAccount(address account, bytes32 neededRole)',
+  'error OwnableUnauthorizedAccount(address account)',
+  'error EnforcedPause()',
+  'error ReentrancyGuardReentrantCall()'
+]
+
 // Get contract config for current network
 export function getContractConfig(networkId = DEFAULT_NETWORK) {
   return {
@@ -217,6 +293,98 @@ export function getContractConfig(networkId = DEFAULT_NETWORK) {
   }
 }
 
+// Normalize one network's entry of a deployments manifest to { addresses, blocks, startBlock }.
+// Accepts hardhat-deploy exports ([{ contracts: { Name: { address, receipt } } }] or
+// { contracts: ... }) and Ignition deployed_addresses.json ({ "Module#Name": address }).
+// Deployment blocks come from each contract's receipt, or a network-wide `startBlock`.
+const parseDeployment = (entry) => {
+  const deployment = Array.isArray(entry) ? entry[0] : entry
+  if (!deployment || typeof deployment !== 'object') return { addresses: {}, blocks: {}, startBlock: null }
+  const startBlock = Number.isInteger(deployment.startBlock) ? deployment.startBlock : null
+
+  if (deployment.contracts) {
+    const contracts = Object.entries(deployment.contracts)
+    return {
+      addresses: Object.fromEntries(contracts.map(([name, contract]) => [name, contract?.address || contract])),
+      blocks: Object.fromEntries(contracts
+        .map(([name, contract]) => [name, contract?.receipt?.blockNumber ?? contract?.blockNumber])
+        .filter(([, block]) => Number.isInteger(block))),
+      startBlock
+    }
+  }
+
+  return {
+    addresses: Object.fromEntries(
+      Object.entries(deployment).map(([key, address]) => [key.split('#').pop(), address])
+    ),
+    blocks: {},
+    startBlock
+  }
+}
+
+// Contracts missing or with an invalid address, keyed by network id
+export function validateConfig() {
+  return Object.fromEntries(
+    Object.keys(NETWORKS).map(networkId => [
+      networkId,
+      CONTRACT_NAMES.filter(name => !isContractDeployed(name, networkId))
+    ])
+  )
+}
+
+// How long the first render waits for the deployments manifest
+const DEPLOYMENTS_TIMEOUT_MS = 5000
+
+// Merge the runtime /deployments.json manifest (keyed by network id or chain id)
+// into CONTRACT_ADDRESSES. Never rejects - a missing, unreadable or slow manifest
+// (aborted after `timeoutMs`) leaves the env addresses in place, and pages report
+// contracts that are not deployed.
+export async function loadDeployments(url = '/deployments.json', timeoutMs = DEPLOYMENTS_TIMEOUT_MS) {
+  const controller = new AbortController()
+  const timer = setTimeout(() => controller.abort(), timeoutMs)
+  try {
+    const response = await fetch(url, { cache: 'no-store', signal: controller.signal })
+    if (response.ok) {
+      const manifest = await response.json()
+      Object.entries(manifest).forEach(([key, entry]) => {
+        const networkId = NETWORKS[key] ? key : getNetworkIdByChainId(key)
+        if (!networkId) return
+        const { addresses, blocks, startBlock } = parseDeployment(entry)
+        Object.entries(addresses).forEach(([name, address]) => {
+          if (CONTRACT_NAMES.includes(name) && isAddress(address)) {
+            CONTRACT_ADDRESSES[networkId][name] = address
+          }
+        })
+        Object.entries(blocks).forEach(([name, block]) => {
+          if (CONTRACT_NAMES.includes(name)) DEPLOYMENT_BLOCKS[networkId][name] = block
+        })
+        if (startBlock !== null) NETWORKS[networkId].startBlock = startBlock
+      })
+    }
+  } catch {
+    // No manifest (or an unreadable or timed out one) - keep the env addresses
+  } finally {
+    clearTimeout(timer)
+  }
+  return CONTRACT_ADDRESSES
+}
+
+// Whether a contract has a valid address on the given network
+export function isContractDeployed(contractName, networkId = DEFAULT_NETWORK) {
+  return isAddress(CONTRACT_ADDRESSES[networkId]?.[contractName] || '')
+}
+
+// Block the event indexer scans from: the contract's deployment block from the
+// manifest, else the network's startBlock (null when neither is configured)
+export function getDeploymentBlock(contractName, networkId = DEFAULT_NETWORK) {
+  return DEPLOYMENT_BLOCKS[networkId]?.[contractName] ?? NETWORKS[networkId]?.startBlock ?? null
+}
+
+// Find the network id for a chain id (null when the chain is not supported)
+export function getNetworkIdByChainId(chainId) {
+  return Object.keys(NETWORKS).find(id => NETWORKS[id].chainId === Number(chainId)) || null
+}
+
 // Helper to get explorer URL for address
 export function getExplorerUrl(address, networkId = DEFAULT_NETWORK) {
   const explorer = NETWORKS[networkId]?.explorer
@@ -234,9 +402,19 @@ export function getTxExplorerUrl(txHash, networkId = DEFAULT_NETWORK) {
 export default {
   NETWORKS,
   DEFAULT_NETWORK,
+  CONTRACT_NAMES,
   CONTRACT_ADDRESSES,
   ABIS,
+  CONTRACT_ERRORS,
+  ORACLE_RISK_TYPES,
+  ORACLE_RISK_LEVEL_MAX,
+  ORACLE_REGIONS,
   getContractConfig,
+  loadDeployments,
+  validateConfig,
+  isContractDeployed,
+  getDeploymentBlock,
+  getNetworkIdByChainId,
   getExplorerUrl,
   getTxExplorerUrl
 }
@@ -4,102 +4,1684 @@
  * React hooks for interacting with KAI smart contracts
  */
 
-import { useState, useEffect, useCallback } from 'react'
+import { useState, useEffect, useCallback, useSyncExternalStore } from 'react'
 import { ethers } from 'ethers'
-import { getContractConfig, NETWORKS } from '../contracts/config'
+import { QueryClient } from '@tanstack/react-query'
+import { getContractConfig, getDeploymentBlock, getNetworkIdByChainId, NETWORKS, DEFAULT_NETWORK, CONTRACT_ERRORS } from '../contracts/config'
 
-// Get provider
-const getProvider = () => {
-  if (typeof window.ethereum !== 'undefined') {
-    return new ethers.BrowserProvider(window.ethereum)
+// Read-only JSON-RPC providers, one per network
+const rpcProviders = {}
+
+const getRpcProvider = (networkId = DEFAULT_NETWORK) => {
+  const network = NETWORKS[networkId]
+  if (!network) return null
+  if (!rpcProviders[networkId]) {
+    rpcProviders[networkId] = new ethers.JsonRpcProvider(
+      network.rpcUrl,
+      { chainId: network.chainId, name: networkId },
+      { staticNetwork: true }
+    )
   }
-  return null
+  return rpcProviders[networkId]
 }
 
-// Get signer
-const getSigner = async () => {
-  const provider = getProvider()
-  if (!provider) return null
-  return provider.getSigner()
+// ============================================
+// ERROR DECODING
+// ============================================
+
+export const ERROR_CATEGORIES = {
+  REJECTED: 'rejected',
+  WALLET: 'wallet',
+  INSUFFICIENT_FUNDS: 'insufficient-funds',
+  ALLOWANCE: 'allowance',
+  UNAUTHORIZED: 'unauthorized',
+  REVERT: 'revert',
+  NETWORK: 'network',
+  UNKNOWN: 'unknown'
 }
 
-// Get contract instance
-const getContract = async (contractName, withSigner = false) => {
-  const config = getContractConfig()
+const errorInterface = new ethers.Interface(CONTRACT_ERRORS)
+
+// EIP-1193 / JSON-RPC provider error codes
+const WALLET_ERRORS = {
+  4001: [ERROR_CATEGORIES.REJECTED, 'Request rejected in your wallet'],
+  4100: [ERROR_CATEGORIES.WALLET, 'Your wallet has not authorized this account'],
+  4900: [ERROR_CATEGORIES.NETWORK, 'Your wallet is disconnected from the network'],
+  4902: [ERROR_CATEGORIES.WALLET, 'This network has not been added to your wallet'],
+  '-32002': [ERROR_CATEGORIES.WALLET, 'A wallet request is already pending. Open your wallet to continue']
+}
+
+const CUSTOM_ERRORS = {
+  ERC20InsufficientAllowance: [ERROR_CATEGORIES.ALLOWANCE, 'Insufficient KAI allowance. Approve the contract first'],
+  ERC20InsufficientBalance: [ERROR_CATEGORIES.INSUFFICIENT_FUNDS, 'Insufficient KAI balance'],
+  ERC20InvalidReceiver: [ERROR_CATEGORIES.REVERT, 'Invalid recipient address'],
+  AccessControlUnauthorizedAccount: [ERROR_CATEGORIES.UNAUTHORIZED, 'Your account is not authorized for this action'],
+  OwnableUnauthorizedAccount: [ERROR_CATEGORIES.UNAUTHORIZED, 'Only the contract owner can do this'],
+  EnforcedPause: [ERROR_CATEGORIES.REVERT, 'The contract is paused'],
+  ReentrancyGuardReentrantCall: [ERROR_CATEGORIES.REVERT, 'The contract rejected a reentrant call']
+}
+
+// Revert strings from require() in older contracts
+const REVERT_PATTERNS = [
+  [/allowance/i, ERROR_CATEGORIES.ALLOWANCE, 'Insufficient KAI allowance. Approve the contract first'],
+  [/exceeds balance|insufficient balance/i, ERROR_CATEGORIES.INSUFFICIENT_FUNDS, 'Insufficient KAI balance'],
+  [/not authori[sz]ed|caller is not|missing role/i, ERROR_CATEGORIES.UNAUTHORIZED, 'Your account is not authorized for this action'],
+  [/below minimum|minimum stake/i, ERROR_CATEGORIES.REVERT, 'Amount is below the minimum stake'],
+  [/already voted/i, ERROR_CATEGORIES.REVERT, 'You have already voted on this proposal']
+]
+
+const decoded = (category, message) => ({ category, message })
+
+// Custom error from ethers' own decoding, or from the shared CONTRACT_ERRORS
+const parseCustomError = (err) => {
+  if (err.revert?.name) return err.revert
+  try {
+    return err.data ? errorInterface.parseError(err.data) : null
+  } catch {
+    return null
+  }
+}
+
+// Map a wallet, RPC or contract error to { category, message } for display
+export function decodeContractError(err) {
+  if (!err) return decoded(ERROR_CATEGORIES.UNKNOWN, 'Unknown error')
+
+  // ethers' own string code decides; the provider's numeric code underneath it
+  // (or on a raw EIP-1193 error) only selects a wallet message
+  const code = err.code
+  const walletCode = err.info?.error?.code ?? err.error?.code ?? err.code
+  if (code === 'ACTION_REJECTED') return decoded(...WALLET_ERRORS[4001])
+  if (code === 'CONFIRMATION_DECLINED') return decoded(ERROR_CATEGORIES.REJECTED, 'Transaction cancelled')
+  if (WALLET_ERRORS[walletCode]) return decoded(...WALLET_ERRORS[walletCode])
+
+  if (code === 'INSUFFICIENT_FUNDS') {
+    return decoded(ERROR_CATEGORIES.INSUFFICIENT_FUNDS, 'Insufficient funds to pay for gas')
+  }
+  if (code === 'NETWORK_ERROR' || code === 'TIMEOUT' || code === 'SERVER_ERROR') {
+    return decoded(ERROR_CATEGORIES.NETWORK, 'Network error. Check your connection and try again')
+  }
+
+  if (code === 'CALL_EXCEPTION') {
+    const customError = parseCustomError(err)
+    if (customError) {
+      return decoded(...(CUSTOM_ERRORS[customError.name] || [ERROR_CATEGORIES.REVERT, `Transaction reverted: ${customError.name}`]))
+    }
+    if (err.reason) {
+      const match = REVERT_PATTERNS.find(([pattern]) => pattern.test(err.reason))
+      return match ? decoded(match[1], match[2]) : decoded(ERROR_CATEGORIES.REVERT, `Transaction reverted: ${err.reason}`)
+    }
+    return decoded(ERROR_CATEGORIES.REVERT, 'Transaction reverted by the contract')
+  }
+
+  return decoded(ERROR_CATEGORIES.UNKNOWN, err.shortMessage || err.message || String(err))
+}
+
+// Failed writes are broadcast so the app can notify once, in one place
+const contractErrorListeners = new Set()
+
+export function watchContractErrors(listener) {
+  contractErrorListeners.add(listener)
+  return () => contractErrorListeners.delete(listener)
+}
+
+// Decode a failed write, notify listeners and return the message for hook state
+const reportContractError = (err) => {
+  const error = decodeContractError(err)
+  contractErrorListeners.forEach(listener => listener(error))
+  return error.message
+}
+
+// ============================================
+// WALLET DISCOVERY (EIP-6963)
+// ============================================
+
+// Wallets announce themselves via EIP-6963 events; the legacy window.ethereum
+// injection is listed too when no announced wallet owns it. The chosen wallet
+// is remembered by its rdns, which stays stable across sessions. The active
+// wallet's account and chain live in the same store, so every useWallet()
+// shares one set of provider listeners; `chainKnown` stays false until the
+// wallet has reported its chain.
+const WALLET_STORAGE_KEY = 'kai_wallet'
+const INJECTED_WALLET = { uuid: 'injected', name: 'Browser Wallet', icon: '', rdns: 'injected' }
+
+let walletState = {
+  wallets: [],
+  selected: localStorage.getItem(WALLET_STORAGE_KEY),
+  account: null,
+  chainId: null,
+  chainKnown: true
+}
+const walletListeners = new Set()
+
+const setWalletState = (changes) => {
+  walletState = { ...walletState, ...changes }
+  walletListeners.forEach(listener => listener())
+}
+
+const subscribeWallets = (listener) => {
+  walletListeners.add(listener)
+  return () => walletListeners.delete(listener)
+}
+
+const getWalletState = () => walletState
+
+const addWallet = (info, provider) => {
+  const wallets = walletState.wallets.filter(w => w.info.rdns !== info.rdns && w.provider !== provider)
+  setWalletState({ wallets: [...wallets, { info, provider }] })
+}
+
+if (typeof window !== 'undefined') {
+  if (window.ethereum) addWallet(INJECTED_WALLET, window.ethereum)
+  window.addEventListener('eip6963:announceProvider', (event) => {
+    addWallet(event.detail.info, event.detail.provider)
+  })
+  window.dispatchEvent(new Event('eip6963:requestProvider'))
+}
+
+// The chosen wallet, else the legacy injection, else the first one discovered
+const findWallet = (state, rdns) => {
+  return state.wallets.find(w => w.info.rdns === rdns) ||
+    state.wallets.find(w => w.info.rdns === INJECTED_WALLET.rdns) ||
+    state.wallets[0] ||
+    null
+}
+
+const selectWallet = (rdns) => {
+  localStorage.setItem(WALLET_STORAGE_KEY, rdns)
+  setWalletState({ selected: rdns })
+}
+
+// Follow the account and chain of the active wallet, moving the listeners
+// whenever another wallet becomes active
+let watchedProvider = null
+let unwatchProvider = () => {}
+
+const watchActiveWallet = () => {
+  const provider = findWallet(walletState, walletState.selected)?.provider || null
+  if (provider === watchedProvider) return
+
+  unwatchProvider()
+  watchedProvider = provider
+  if (!provider) {
+    unwatchProvider = () => {}
+    setWalletState({ account: null, chainId: null, chainKnown: true })
+    return
+  }
+  setWalletState({ account: null, chainId: null, chainKnown: false })
+
+  // Replies for a wallet that is no longer active are dropped
+  const handleAccountsChanged = (accounts) => {
+    if (watchedProvider === provider) setWalletState({ account: accounts[0] || null })
+  }
+  const handleChainChanged = (chainId) => {
+    if (watchedProvider === provider) setWalletState({ chainId: parseInt(chainId, 16), chainKnown: true })
+  }
+
+  provider.on('accountsChanged', handleAccountsChanged)
+  provider.on('chainChanged', handleChainChanged)
+  unwatchProvider = () => {
+    provider.removeListener('accountsChanged', handleAccountsChanged)
+    provider.removeListener('chainChanged', handleChainChanged)
+  }
+
+  // Check if already connected
+  provider.request({ method: 'eth_accounts' })
+    .then(handleAccountsChanged)
+    .catch(() => {})
+  // A wallet that cannot report its chain reads from DEFAULT_NETWORK
+  provider.request({ method: 'eth_chainId' })
+    .then(handleChainChanged)
+    .catch(() => {
+      if (watchedProvider === provider) setWalletState({ chainKnown: true })
+    })
+}
+
+walletListeners.add(watchActiveWallet)
+watchActiveWallet()
+
+// Get a provider for the active wallet (needed for signing)
+const getWalletProvider = () => {
+  const wallet = findWallet(walletState, walletState.selected)
+  return wallet ? new ethers.BrowserProvider(wallet.provider) : null
+}
+
+// Network id for the wallet's current chain, or null when the chain is unsupported
+const getWalletNetworkId = async (provider) => {
+  const { chainId } = await provider.getNetwork()
+  return getNetworkIdByChainId(Number(chainId))
+}
+
+// Address and ABI of a contract on a network; throws when it is not deployed there
+const getDeployment = (contractName, networkId) => {
+  const config = getContractConfig(networkId)
   const address = config.addresses[contractName]
   const abi = config.abis[contractName]
 
   if (!address || !abi) {
-    throw new Error(`Contract ${contractName} not configured`)
+    throw new Error(`${contractName} is not deployed on ${config.network.name}`)
   }
+  return { address, abi }
+}
 
-  const provider = getProvider()
-  if (!provider) {
+// Read-only contract instance on networkId. Reads use the wallet when it is on
+// that chain, otherwise the network RPC
+const getReadContract = async (contractName, networkId) => {
+  const { address, abi } = getDeployment(contractName, networkId)
+  const wallet = getWalletProvider()
+  const onWalletChain = wallet && await getWalletNetworkId(wallet) === networkId
+  return new ethers.Contract(address, abi, onWalletChain ? wallet : getRpcProvider(networkId))
+}
+
+// Network reads resolve against: the wallet's chain when supported, else DEFAULT_NETWORK
+const getReadNetworkId = async () => {
+  const wallet = getWalletProvider()
+  return (wallet && await getWalletNetworkId(wallet)) || DEFAULT_NETWORK
+}
+
+// Get contract instance for the wallet's chain (DEFAULT_NETWORK without a wallet)
+const getContract = async (contractName, withSigner = false) => {
+  if (!withSigner) return getReadContract(contractName, await getReadNetworkId())
+
+  const wallet = getWalletProvider()
+  if (!wallet) {
     throw new Error('No wallet provider found')
   }
+  // Writes are blocked until the wallet is on a supported chain
+  const walletNetworkId = await getWalletNetworkId(wallet)
+  if (!walletNetworkId) {
+    throw new Error('Unsupported network. Switch your wallet to a supported network')
+  }
+
+  const { address, abi } = getDeployment(contractName, walletNetworkId)
+  const signer = await wallet.getSigner()
+  return new ethers.Contract(address, abi, signer)
+}
 
-  if (withSigner) {
-    const signer = await getSigner()
-    return new ethers.Contract(address, abi, signer)
+// ============================================
+// TRANSACTION TRACKER
+// ============================================
+
+// Submitted transactions are kept in localStorage so a reload can resume them.
+// Entries are keyed by the original hash; `hash` follows speed-up/cancel replacements
+// and `hashes` keeps the whole replacement chain, any of which may be the one mined.
+const TX_STORAGE_KEY = 'kai_transactions'
+const TX_HISTORY_LIMIT = 20
+const TX_POLL_INTERVAL = 4000
+// Replacements must raise fees by at least 10%; bump by 25% to get mined promptly
+const TX_FEE_BUMP = 125n
+
+const loadTransactions = () => {
+  try {
+    return JSON.parse(localStorage.getItem(TX_STORAGE_KEY)) || []
+  } catch {
+    return []
   }
+}
+
+let transactions = loadTransactions()
+let transactionsResumed = false
+const txListeners = new Set()
+const txSettledListeners = new Set()
+// Ids whose tx.wait() is running in this session - the poller leaves them alone
+const watchedTransactions = new Set()
 
-  return new ethers.Contract(address, abi, provider)
+// Pending entries are always kept so they can still be sped up or cancelled;
+// the newest settled entries fill the rest of the history limit
+const trimTransactions = (entries) => {
+  let room = TX_HISTORY_LIMIT - entries.filter(entry => entry.status === 'pending').length
+  return entries.filter(entry => entry.status === 'pending' || room-- > 0)
 }
 
-/**
- * Hook to manage wallet connection
- */
-export function useWallet() {
-  const [account, setAccount] = useState(null)
-  const [chainId, setChainId] = useState(null)
-  const [isConnecting, setIsConnecting] = useState(false)
-  const [error, setError] = useState(null)
+const setTransactions = (update) => {
+  transactions = trimTransactions(update(transactions))
+  localStorage.setItem(TX_STORAGE_KEY, JSON.stringify(transactions))
+  txListeners.forEach(listener => listener())
+}
 
-  useEffect(() => {
-    if (typeof window.ethereum === 'undefined') return
+const subscribeTransactions = (listener) => {
+  txListeners.add(listener)
+  return () => txListeners.delete(listener)
+}
+
+const getTransactions = () => transactions
+
+const updateTransaction = (id, changes) => {
+  setTransactions(list => list.map(entry => entry.id === id ? { ...entry, ...changes } : entry))
+}
+
+// Fee fields as strings; legacy transactions only carry gasPrice
+const serializeFees = (tx) => ({
+  maxFeePerGas: tx.maxFeePerGas?.toString() ?? null,
+  maxPriorityFeePerGas: tx.maxPriorityFeePerGas?.toString() ?? null,
+  gasPrice: tx.gasPrice?.toString() ?? null
+})
+
+// Only the cancel transaction itself (the latest hash) being mined counts as cancelled
+const settleTransaction = (id, status, hash) => {
+  const entry = transactions.find(t => t.id === id)
+  if (!entry || entry.status !== 'pending') return
+  const minedHash = hash || entry.hash
+  const settled = {
+    ...entry,
+    hash: minedHash,
+    status: status === 'confirmed' && entry.cancelling && minedHash === entry.hash ? 'cancelled' : status,
+    settledAt: Date.now()
+  }
+  updateTransaction(id, settled)
+  if (settled.status === 'confirmed') invalidateWriteQueries(entry.to)
+  txSettledListeners.forEach(listener => listener(settled))
+}
+
+// Wait for a transaction sent in this session in the background. A sped-up
+// replacement counts as confirmed; anything still pending afterwards (the wait
+// failed on an RPC error) is handed to the poller.
+const watchTransaction = (id, tx) => {
+  watchedTransactions.add(id)
+  tx.wait()
+    .then(receipt => settleTransaction(id, 'confirmed', receipt.hash))
+    .catch(err => {
+      if (err.code === 'TRANSACTION_REPLACED') {
+        const status = err.reason === 'repriced' ? 'confirmed' : err.cancelled ? 'cancelled' : 'replaced'
+        settleTransaction(id, status, err.receipt?.hash)
+      } else if (err.code === 'CALL_EXCEPTION') {
+        settleTransaction(id, 'failed', err.receipt?.hash)
+      }
+    })
+    .finally(() => {
+      watchedTransactions.delete(id)
+      resumeTransaction(id)
+    })
+}
+
+// Record a submitted transaction and return it without waiting for it to be
+// mined - the tray shows its progress and reports the outcome
+const trackTransaction = (tx, label) => {
+  const id = tx.hash
+  setTransactions(list => [{
+    id,
+    hash: tx.hash,
+    hashes: [tx.hash],
+    label,
+    from: tx.from,
+    to: tx.to,
+    data: tx.data,
+    value: tx.value.toString(),
+    nonce: tx.nonce,
+    gasLimit: tx.gasLimit.toString(),
+    chainId: Number(tx.chainId),
+    ...serializeFees(tx),
+    status: 'pending',
+    cancelling: false,
+    submittedAt: Date.now()
+  }, ...list])
+
+  watchTransaction(id, tx)
+  return tx
+}
+
+// Poll a pending transaction until one hash of its replacement chain is mined,
+// or its nonce is used by a transaction we don't know about
+const resumeTransaction = async (id) => {
+  const entry = transactions.find(t => t.id === id)
+  if (!entry || entry.status !== 'pending') return
+  const provider = getRpcProvider(getNetworkIdByChainId(entry.chainId))
+  if (!provider) return
+
+  for (;;) {
+    const current = transactions.find(t => t.id === id)
+    if (!current || current.status !== 'pending' || watchedTransactions.has(id)) return
+    // Entries stored before `hashes` was recorded only know the first and latest hash
+    const hashes = current.hashes || [...new Set([current.id, current.hash])]
+    try {
+      const nonce = await provider.getTransactionCount(current.from, 'latest')
+      const receipts = await Promise.all(hashes.map(hash => provider.getTransactionReceipt(hash)))
+      const receipt = receipts.find(Boolean)
+      if (receipt) {
+        settleTransaction(id, receipt.status === 1 ? 'confirmed' : 'failed', receipt.hash)
+        return
+      }
+      if (nonce > current.nonce) {
+        settleTransaction(id, 'replaced')
+        return
+      }
+    } catch {
+      // Transient RPC errors - try again on the next poll
+    }
+    await new Promise(resolve => setTimeout(resolve, TX_POLL_INTERVAL))
+  }
+}
+
+const resumeTransactions = () => {
+  if (transactionsResumed) return
+  transactionsResumed = true
+  transactions
+    .filter(entry => entry.status === 'pending')
+    .forEach(entry => resumeTransaction(entry.id))
+}
+
+const bumpFee = (previous, current) => {
+  const bumped = BigInt(previous) * TX_FEE_BUMP / 100n
+  return current && current > bumped ? current : bumped
+}
+
+// Send a same-nonce replacement: the original call with higher fees (speed up)
+// or a zero-value self transfer (cancel)
+const replaceTransaction = async (id, cancel) => {
+  const entry = transactions.find(t => t.id === id)
+  if (!entry || entry.status !== 'pending') {
+    throw new Error('Transaction is no longer pending')
+  }
+
+  const wallet = getWalletProvider()
+  if (!wallet) {
+    throw new Error('No wallet provider found')
+  }
+  const { chainId } = await wallet.getNetwork()
+  if (Number(chainId) !== entry.chainId) {
+    throw new Error('Switch your wallet to the network this transaction was sent on')
+  }
+
+  const signer = await wallet.getSigner(entry.from)
+  const feeData = await wallet.getFeeData()
+  const fees = entry.maxFeePerGas
+    ? {
+        maxFeePerGas: bumpFee(entry.maxFeePerGas, feeData.maxFeePerGas),
+        maxPriorityFeePerGas: bumpFee(entry.maxPriorityFeePerGas, feeData.maxPriorityFeePerGas)
+      }
+    : { gasPrice: bumpFee(entry.gasPrice, feeData.gasPrice) }
+  const request = cancel
+    ? { to: entry.from, value: 0n, data: '0x' }
+    : { to: entry.to, value: BigInt(entry.value), data: entry.data, gasLimit: BigInt(entry.gasLimit) }
+
+  const tx = await signer.sendTransaction({ ...request, ...fees, nonce: entry.nonce })
+  // The original's wait detects the replacement; the poller checks every hash in the chain
+  updateTransaction(id, {
+    hash: tx.hash,
+    hashes: [...(entry.hashes || [...new Set([entry.id, entry.hash])]), tx.hash],
+    ...serializeFees(tx),
+    cancelling: cancel
+  })
+  return tx.hash
+}
+
+// ============================================
+// PRE-FLIGHT
+// ============================================
+
+// Headroom over the estimate so small state changes before mining don't run out of gas
+const GAS_LIMIT_BUFFER = 120n
+
+// Asks the user to approve a simulated write; resolves to true to send it.
+// Without a registered confirmer, writes go straight to the wallet.
+let transactionConfirmer = null
 
-    const handleAccountsChanged = (accounts) => {
-      setAccount(accounts[0] || null)
+export function setTransactionConfirmer(confirmer) {
+  transactionConfirmer = confirmer
+  return () => {
+    if (transactionConfirmer === confirmer) transactionConfirmer = null
+  }
+}
+
+// Simulate a write with staticCall, estimate its fee, confirm it, then send
+// and track it. Predictable reverts throw here, before the wallet prompt.
+// Resolves to the submitted transaction; the tracker follows it from there.
+const sendContractTransaction = async (contract, method, args, label, overrides = {}) => {
+  const fn = contract.getFunction(method)
+  await fn.staticCall(...args, overrides)
+  const gasLimit = await fn.estimateGas(...args, overrides)
+
+  if (transactionConfirmer) {
+    const provider = contract.runner.provider
+    const [feeData, { chainId }] = await Promise.all([provider.getFeeData(), provider.getNetwork()])
+    const network = NETWORKS[getNetworkIdByChainId(Number(chainId))]
+    const gasPrice = feeData.gasPrice ?? feeData.maxFeePerGas ?? 0n
+    const approved = await transactionConfirmer({
+      label,
+      network: network.name,
+      currency: network.currency.symbol,
+      gasLimit: Number(gasLimit),
+      fee: ethers.formatEther(gasLimit * gasPrice),
+      maxFee: feeData.maxFeePerGas ? ethers.formatEther(gasLimit * feeData.maxFeePerGas) : null,
+      value: overrides.value ? ethers.formatEther(overrides.value) : null
+    })
+    if (!approved) {
+      throw Object.assign(new Error('Transaction cancelled'), { code: 'CONFIRMATION_DECLINED' })
     }
+  }
+
+  const tx = await fn(...args, { ...overrides, gasLimit: gasLimit * GAS_LIMIT_BUFFER / 100n })
+  return trackTransaction(tx, label)
+}
 
-    const handleChainChanged = (newChainId) => {
-      setChainId(parseInt(newChainId, 16))
+// Struct formatters - normalize tuple results into plain JS values.
+// Ids, enums and timestamps become numbers; KAI amounts are formatted with the
+// token decimals and native amounts with formatEther, both as decimal strings.
+
+// Normalize a getProposal() result
+const formatProposal = (proposal, decimals) => ({
+  id: Number(proposal.id),
+  proposer: proposal.proposer,
+  title: proposal.title,
+  description: proposal.description,
+  proposalType: Number(proposal.proposalType),
+  forVotes: ethers.formatUnits(proposal.forVotes, decimals),
+  againstVotes: ethers.formatUnits(proposal.againstVotes, decimals),
+  createdAt: Number(proposal.createdAt),
+  executed: proposal.executed
+})
+
+// Normalize a getVestingSchedule() result; cliff and duration are seconds from start
+const formatVestingSchedule = (schedule, decimals) => ({
+  totalAmount: ethers.formatUnits(schedule.totalAmount, decimals),
+  released: ethers.formatUnits(schedule.released, decimals),
+  start: Number(schedule.start),
+  cliff: Number(schedule.cliff),
+  duration: Number(schedule.duration),
+  revoked: schedule.revoked
+})
+
+// Inspection status shared by getInspection() and the event-derived list
+const getInspectionStatus = (completed, passed, certificateHash) =>
+  certificateHash ? 'certified' : !completed ? 'pending' : passed ? 'passed' : 'failed'
+
+// Normalize a getInspection() result; fee is in the native currency
+const formatInspection = (inspection) => ({
+  id: Number(inspection.id),
+  requester: inspection.requester,
+  facilityName: inspection.facilityName,
+  location: inspection.location,
+  fee: ethers.formatEther(inspection.fee),
+  requestedAt: Number(inspection.requestedAt),
+  certificateHash: inspection.certificateHash || null,
+  status: getInspectionStatus(inspection.completed, inspection.passed, inspection.certificateHash)
+})
+
+// Normalize a getPolicyDetails() result; coverage and premium are in the native currency
+const formatPolicy = (policy) => ({
+  id: Number(policy.id),
+  farmer: policy.farmer,
+  cropType: policy.cropType,
+  region: policy.region,
+  coverage: ethers.formatEther(policy.coverage),
+  premium: ethers.formatEther(policy.premium),
+  createdAt: Number(policy.createdAt),
+  evidenceHash: policy.evidenceHash || null,
+  status: policy.paid ? 'paid' : policy.claimed ? 'claimed' : 'active'
+})
+
+// Normalize a getEvidence() result
+const formatEvidence = (evidence) => ({
+  hash: evidence.hash,
+  submitter: evidence.submitter,
+  description: evidence.description,
+  timestamp: Number(evidence.timestamp),
+  verified: evidence.verified
+})
+
+// Normalize a getIncident() result; aidDisbursed is in KAI
+const formatIncident = (incident, decimals) => ({
+  id: Number(incident.id),
+  disasterType: Number(incident.disasterType),
+  location: incident.location,
+  severity: Number(incident.severity),
+  description: incident.description,
+  reporter: incident.reporter,
+  reportedAt: Number(incident.reportedAt),
+  aidDisbursed: ethers.formatUnits(incident.aidDisbursed, decimals),
+  resolved: incident.resolved
+})
+
+// Normalize a getLatestData() result; level is a 0-100 score
+const formatOracleData = (data) => ({
+  region: data.region,
+  riskType: Number(data.riskType),
+  level: Number(data.level),
+  updatedAt: Number(data.updatedAt),
+  reporter: data.reporter
+})
+
+// ============================================
+// PERMITS (EIP-2612)
+// ============================================
+
+// Signed permits expire this many seconds after signing
+const PERMIT_TTL = 20 * 60
+
+const PERMIT_TYPES = {
+  Permit: [
+    { name: 'owner', type: 'address' },
+    { name: 'spender', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+}
+
+// A spender takes permits through `method` only when its ABI in the config
+// declares it and KAIToken's nonces() and DOMAIN_SEPARATOR() answer. Any probe
+// failure, RPC errors included, means the approve path
+const checkPermitSupport = async (networkId, spenderName, method) => {
+  const abi = getContractConfig(networkId).abis[spenderName]
+  if (!abi || !new ethers.Interface(abi).getFunction(method)) return false
+
+  try {
+    const token = await getReadContract('KAIToken', networkId)
+    await Promise.all([token.DOMAIN_SEPARATOR(), token.nonces(ethers.ZeroAddress)])
+    return true
+  } catch {
+    return false
+  }
+}
+
+// EIP-5267 domain when the token exposes it, else its name with version 1
+const getPermitDomain = async (token) => {
+  try {
+    const { name, version } = await token.eip712Domain()
+    return { name, version }
+  } catch {
+    return { name: await token.name(), version: '1' }
+  }
+}
+
+// Sign a permit with the wallet's signer; resolves to the deadline and v, r, s
+const signPermit = async (token, spender, value) => {
+  const signer = token.runner
+  const owner = await signer.getAddress()
+  const [{ chainId }, nonce, domain] = await Promise.all([
+    signer.provider.getNetwork(),
+    token.nonces(owner),
+    getPermitDomain(token)
+  ])
+  const deadline = Math.floor(Date.now() / 1000) + PERMIT_TTL
+  const signature = await signer.signTypedData(
+    { ...domain, chainId, verifyingContract: token.target },
+    PERMIT_TYPES,
+    { owner, spender, value, nonce, deadline }
+  )
+  const { v, r, s } = ethers.Signature.from(signature)
+  return { deadline, v, r, s }
+}
+
+// Permit for a write that spends `value` KAI through the spender's `method`, or
+// null when the allowance already covers it or permits are unsupported (the
+// approve path applies)
+const preparePermit = async (spenderName, method, value) => {
+  const networkId = await getReadNetworkId()
+  const supported = await queryClient.fetchQuery(contractQueries.permitSupport(networkId, spenderName, method))
+  if (!supported) return null
+
+  const [token, spender] = await Promise.all([getContract('KAIToken', true), getReadContract(spenderName, networkId)])
+  const allowance = await token.allowance(await token.runner.getAddress(), spender.target)
+  if (allowance >= value) return null
+
+  return signPermit(token, spender.target, value)
+}
+
+// ============================================
+// EVENT INDEXER
+// ============================================
+
+// Decoded logs for every ABIS event are cached in IndexedDB per network,
+// contract and address, so a redeployed contract starts a fresh stream instead
+// of inheriting the old one's events and cursor. Each stream's cursor records the indexed block range [firstBlock,
+// lastBlock], so later syncs only scan new blocks, plus any blocks between the
+// deployment block and firstBlock if the deployment block moved earlier
+const EVENT_DB_NAME = 'kai-events'
+const EVENT_DB_VERSION = 1
+// Public RPCs cap eth_getLogs ranges; a rejected chunk is halved down to the minimum
+const LOG_CHUNK_SIZE = 2000
+const MIN_LOG_CHUNK_SIZE = 50
+// Recent blocks are rescanned each sync so reorged-out logs get dropped
+const REORG_DEPTH = 64
+
+let eventDbPromise = null
+
+const openEventDb = () => {
+  if (!eventDbPromise) {
+    eventDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(EVENT_DB_NAME, EVENT_DB_VERSION)
+      request.onupgradeneeded = () => {
+        const events = request.result.createObjectStore('events', { keyPath: 'id' })
+        events.createIndex('stream', 'stream')
+        events.createIndex('streamBlock', ['stream', 'blockNumber'])
+        request.result.createObjectStore('cursors', { keyPath: 'stream' })
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => {
+        eventDbPromise = null
+        reject(request.error)
+      }
+    })
+  }
+  return eventDbPromise
+}
+
+const readEventStore = async (storeName, read) => {
+  const db = await openEventDb()
+  return new Promise((resolve, reject) => {
+    const request = read(db.transaction(storeName, 'readonly').objectStore(storeName))
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+// Replace a stream's events in [fromBlock, toBlock] and store its cursor in one transaction
+const saveEventChunk = async (cursor, fromBlock, toBlock, events) => {
+  const { stream } = cursor
+  const db = await openEventDb()
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(['events', 'cursors'], 'readwrite')
+    const store = tx.objectStore('events')
+    const range = IDBKeyRange.bound([stream, fromBlock], [stream, toBlock])
+    store.index('streamBlock').openCursor(range).onsuccess = (event) => {
+      const idbCursor = event.target.result
+      if (idbCursor) {
+        idbCursor.delete()
+        idbCursor.continue()
+      } else {
+        events.forEach(entry => store.put(entry))
+      }
     }
+    tx.objectStore('cursors').put(cursor)
+    tx.oncomplete = () => resolve()
+    tx.onerror = () => reject(tx.error)
+  })
+}
+
+// Event args as plain values: bigints become decimal strings and indexed
+// strings/bytes keep only their topic hash
+const serializeEventValue = (value) => {
+  if (typeof value === 'bigint') return value.toString()
+  if (value instanceof ethers.Indexed) return value.hash
+  if (Array.isArray(value)) return value.map(serializeEventValue)
+  return value
+}
 
-    window.ethereum.on('accountsChanged', handleAccountsChanged)
-    window.ethereum.on('chainChanged', handleChainChanged)
+const serializeEvent = (stream, log) => ({
+  id: `${stream}:${log.transactionHash}:${log.index}`,
+  stream,
+  eventName: log.eventName,
+  args: Object.fromEntries(log.fragment.inputs.map((input, i) => [input.name, serializeEventValue(log.args[i])])),
+  blockNumber: log.blockNumber,
+  transactionHash: log.transactionHash,
+  index: log.index
+})
 
-    // Check if already connected
-    window.ethereum.request({ method: 'eth_accounts' })
-      .then(handleAccountsChanged)
+// Stream key for a contract's events on a network, at its configured address
+const eventStream = (networkId, contractName, address) =>
+  `${networkId}:${contractName}:${address.toLowerCase()}`
 
-    window.ethereum.request({ method: 'eth_chainId' })
-      .then(handleChainChanged)
+const scanEvents = async (networkId, contractName, stream) => {
+  const config = getContractConfig(networkId)
+  const address = config.addresses[contractName]
+  if (!address) {
+    throw new Error(`${contractName} is not deployed on ${config.network.name}`)
+  }
+
+  // Partial history would look complete, so an unknown deployment block is an error
+  const startBlock = getDeploymentBlock(contractName, networkId)
+  if (startBlock === null) {
+    throw new Error(
+      `No deployment block for ${contractName} on ${config.network.name}. ` +
+      `Add it to deployments.json or set VITE_${networkId.toUpperCase()}_START_BLOCK`
+    )
+  }
 
-    return () => {
-      window.ethereum.removeListener('accountsChanged', handleAccountsChanged)
-      window.ethereum.removeListener('chainChanged', handleChainChanged)
+  const provider = getRpcProvider(networkId)
+  const contract = new ethers.Contract(address, config.abis[contractName], provider)
+  const [stored, latest] = await Promise.all([
+    readEventStore('cursors', store => store.get(stream)),
+    provider.getBlockNumber()
+  ])
+
+  // Cursors without firstBlock predate backfilling; treat everything up to lastBlock as unscanned
+  let cursor = stored
+    ? { ...stored, firstBlock: stored.firstBlock ?? stored.lastBlock + 1 }
+    : { stream, firstBlock: startBlock, lastBlock: startBlock - 1 }
+  let chunkSize = LOG_CHUNK_SIZE
+
+  // Events in [from, to], or null after halving the chunk when the RPC rejects the range
+  const fetchEvents = async (from, to) => {
+    try {
+      const logs = await contract.queryFilter('*', from, to)
+      return logs
+        .filter(log => log instanceof ethers.EventLog)
+        .map(log => serializeEvent(stream, log))
+    } catch (err) {
+      if (chunkSize <= MIN_LOG_CHUNK_SIZE) throw err
+      chunkSize = Math.max(MIN_LOG_CHUNK_SIZE, Math.floor(chunkSize / 2))
+      return null
     }
-  }, [])
+  }
 
-  const connect = useCallback(async () => {
-    if (typeof window.ethereum === 'undefined') {
-      setError('Please install MetaMask')
-      return false
+  // Backfill downwards so the indexed range stays contiguous if a scan fails midway
+  while (cursor.firstBlock > startBlock) {
+    const from = Math.max(startBlock, cursor.firstBlock - chunkSize)
+    const to = cursor.firstBlock - 1
+    const events = await fetchEvents(from, to)
+    if (!events) continue
+    cursor = { ...cursor, firstBlock: from }
+    await saveEventChunk(cursor, from, to, events)
+  }
+
+  let from = Math.max(cursor.firstBlock, cursor.lastBlock - REORG_DEPTH + 1)
+  while (from <= latest) {
+    const to = Math.min(from + chunkSize - 1, latest)
+    const events = await fetchEvents(from, to)
+    if (!events) continue
+    cursor = { ...cursor, lastBlock: Math.max(cursor.lastBlock, to) }
+    await saveEventChunk(cursor, from, to, events)
+    from = to + 1
+  }
+}
+
+// One scan per stream at a time; concurrent callers share it
+const indexerRuns = {}
+
+const syncEvents = (networkId, contractName) => {
+  const stream = eventStream(networkId, contractName, getContractConfig(networkId).addresses[contractName] || '')
+  if (!indexerRuns[stream]) {
+    indexerRuns[stream] = scanEvents(networkId, contractName, stream)
+      .finally(() => { delete indexerRuns[stream] })
+  }
+  return indexerRuns[stream]
+}
+
+// Indexed events for a contract on a network, oldest first, optionally
+// narrowed to some event names. Syncs new blocks before reading the cache.
+const getIndexedEvents = async (networkId, contractName, eventNames = []) => {
+  const stream = eventStream(networkId, contractName, getContractConfig(networkId).addresses[contractName] || '')
+  await syncEvents(networkId, contractName)
+  // The streamBlock range holds only this stream, in block order; within a
+  // block entries follow their id, so the sort restores log order
+  const range = IDBKeyRange.bound([stream, 0], [stream, Infinity])
+  const events = await readEventStore('events', store => store.index('streamBlock').getAll(range))
+  return events
+    .filter(event => eventNames.length === 0 || eventNames.includes(event.eventName))
+    .sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index)
+}
+
+// Subscribe to every event of the contracts deployed on the read network.
+// Events arrive in the indexed shape plus `contract` and `networkId`, with the
+// KAIToken decimals for formatting amounts. Resolves to an unsubscribe function.
+export async function watchContractEvents(listener) {
+  const networkId = await getReadNetworkId()
+  const config = getContractConfig(networkId)
+  const provider = getRpcProvider(networkId)
+  const decimals = await getDecimals(networkId).catch(() => 18)
+
+  // One log filter over every address keeps this to a single poll on the public
+  // RPC; each log is decoded with the ABI of the contract at its address
+  const contracts = new Map(Object.entries(config.addresses)
+    .filter(([name, address]) => address && config.abis[name])
+    .map(([name, address]) => [address.toLowerCase(), { name, iface: new ethers.Interface(config.abis[name]) }]))
+  if (contracts.size === 0) return () => {}
+
+  const filter = { address: [...contracts.keys()] }
+  const handleLog = (log) => {
+    const contract = contracts.get(log.address.toLowerCase())
+    const fragment = contract && log.topics.length > 0 ? contract.iface.getEvent(log.topics[0]) : null
+    if (!fragment) return
+    let event
+    try {
+      event = new ethers.EventLog(log, contract.iface, fragment)
+    } catch {
+      return
+    }
+    listener({ ...serializeEvent(eventStream(networkId, contract.name, log.address), event), contract: contract.name, networkId }, decimals)
+  }
+
+  await provider.on(filter, handleLog)
+  return () => provider.off(filter, handleLog)
+}
+
+// ============================================
+// QUERIES
+// ============================================
+
+// Shared cache for contract reads; main.jsx provides it to React
+export const queryClient = new QueryClient({
+  defaultOptions: {
+    queries: {
+      staleTime: 15000,
+      retry: 1,
+      refetchOnWindowFocus: false
+    }
+  }
+})
+
+// KAIToken decimals on networkId; writes leave it out and get the read network,
+// which is the wallet's chain once getContract() has allowed the write
+const getDecimals = async (networkId) =>
+  queryClient.fetchQuery(contractQueries.decimals(networkId ?? await getReadNetworkId()))
+
+// Refresh reads a confirmed write may have changed: the target contract's
+// queries and KAIToken (most writes move balances or allowances)
+const invalidateWriteQueries = (address) => {
+  const contractName = Object.keys(NETWORKS)
+    .flatMap(networkId => Object.entries(getContractConfig(networkId).addresses))
+    .find(([, contractAddress]) => contractAddress && contractAddress.toLowerCase() === address?.toLowerCase())?.[0]
+
+  if (contractName) queryClient.invalidateQueries({ queryKey: [contractName] })
+  queryClient.invalidateQueries({ queryKey: ['KAIToken'] })
+}
+
+// Run view calls as one Multicall3 aggregate3 eth_call when the network has an
+// aggregator, else as parallel calls. Each call is [contract, method, args];
+// results come back in order, single return values unwrapped.
+const multicall = async (calls) => {
+  const runParallel = () => Promise.all(calls.map(([contract, method, args = []]) => contract.getFunction(method)(...args)))
+
+  const provider = calls[0][0].runner.provider
+  const { chainId } = await provider.getNetwork()
+  const aggregatorAddress = NETWORKS[getNetworkIdByChainId(Number(chainId))]?.multicall
+  if (!aggregatorAddress) return runParallel()
+
+  try {
+    const aggregator = new ethers.Contract(aggregatorAddress, getContractConfig().abis.Multicall3, provider)
+    const results = await aggregator.aggregate3.staticCall(calls.map(([contract, method, args = []]) => ({
+      target: contract.target,
+      allowFailure: false,
+      callData: contract.interface.encodeFunctionData(method, args)
+    })))
+    return results.map(({ returnData }, i) => {
+      const [contract, method] = calls[i]
+      const decoded = contract.interface.decodeFunctionResult(method, returnData)
+      return decoded.length === 1 ? decoded[0] : decoded
+    })
+  } catch {
+    // A reverting call fails the whole batch; parallel calls surface its own error
+    return runParallel()
+  }
+}
+
+// A call that reverts without data or reason hit a method the deployed
+// contract does not implement (there is no fallback to revert with either)
+const isMissingMethod = (err) => err?.code === 'CALL_EXCEPTION' && !err.reason && (!err.data || err.data === '0x')
+
+// Query options for every contract read, on the network passed first (the
+// wallet's readNetworkId in components). Keys start with the contract name so
+// confirmed writes can invalidate per contract (invalidateWriteQueries) and
+// callers never refetch by hand, followed by that network, and each read goes
+// to that network, so cached data never crosses chains. Use with useQuery(),
+// or queryClient.fetchQuery() outside components.
+export const contractQueries = {
+  // KAIToken decimals never change on a network, so they are cached for the session
+  decimals: (networkId) => ({
+    queryKey: ['decimals', networkId],
+    queryFn: async () => {
+      const token = await getReadContract('KAIToken', networkId)
+      return Number(await token.decimals())
+    },
+    staleTime: Infinity
+  }),
+
+  balance: (networkId, address) => ({
+    queryKey: ['KAIToken', networkId, 'balance', address],
+    queryFn: async () => {
+      const contract = await getReadContract('KAIToken', networkId)
+      const balance = await contract.balanceOf(address)
+      const decimals = await getDecimals(networkId)
+      return ethers.formatUnits(balance, decimals)
+    }
+  }),
+
+  tokenInfo: (networkId) => ({
+    queryKey: ['KAIToken', networkId, 'tokenInfo'],
+    queryFn: async () => {
+      const contract = await getReadContract('KAIToken', networkId)
+      const [decimals, [name, symbol, totalSupply, totalBurned]] = await Promise.all([
+        getDecimals(networkId),
+        multicall([
+          [contract, 'name'],
+          [contract, 'symbol'],
+          [contract, 'totalSupply'],
+          [contract, 'totalBurned']
+        ])
+      ])
+      return {
+        name,
+        symbol,
+        decimals: Number(decimals),
+        totalSupply: ethers.formatUnits(totalSupply, decimals),
+        totalBurned: ethers.formatUnits(totalBurned, decimals)
+      }
+    }
+  }),
+
+  // Burn rates are returned in basis points, keyed by pillar id
+  pillarBurnRates: (networkId, pillarIds) => ({
+    queryKey: ['KAIToken', networkId, 'pillarBurnRates', pillarIds],
+    queryFn: async () => {
+      const contract = await getReadContract('KAIToken', networkId)
+      const rates = await Promise.all(pillarIds.map(id => contract.getPillarBurnRate(id)))
+      return Object.fromEntries(pillarIds.map((id, i) => [id, Number(rates[i])]))
+    }
+  }),
+
+  burnedByAddress: (networkId, address) => ({
+    queryKey: ['KAIToken', networkId, 'burnedByAddress', address],
+    queryFn: async () => {
+      const contract = await getReadContract('KAIToken', networkId)
+      const [burned, decimals] = await Promise.all([
+        contract.burnedByAddress(address),
+        getDecimals(networkId)
+      ])
+      return ethers.formatUnits(burned, decimals)
+    }
+  }),
+
+  burnHistory: (networkId, fromBlock = 0) => ({
+    queryKey: ['KAIToken', networkId, 'burnHistory', fromBlock],
+    queryFn: async () => {
+      const [decimals, events] = await Promise.all([
+        getDecimals(networkId),
+        getIndexedEvents(networkId, 'KAIToken', ['PillarBurn'])
+      ])
+      return events.filter(event => event.blockNumber >= fromBlock).map(event => ({
+        burner: event.args.burner,
+        pillarId: Number(event.args.pillarId),
+        amount: ethers.formatUnits(event.args.amount, decimals),
+        reason: event.args.reason,
+        blockNumber: event.blockNumber,
+        txHash: event.transactionHash,
+        logIndex: event.index
+      }))
+    }
+  }),
+
+  transferHistory: (networkId, address) => ({
+    queryKey: ['KAIToken', networkId, 'transferHistory', address],
+    queryFn: async () => {
+      const [decimals, events] = await Promise.all([
+        getDecimals(networkId),
+        getIndexedEvents(networkId, 'KAIToken', ['Transfer'])
+      ])
+      const account = address.toLowerCase()
+      return events
+        .filter(event => event.args.from.toLowerCase() === account || event.args.to.toLowerCase() === account)
+        .map(event => ({
+          from: event.args.from,
+          to: event.args.to,
+          amount: ethers.formatUnits(event.args.value, decimals),
+          direction: event.args.to.toLowerCase() === account ? 'in' : 'out',
+          blockNumber: event.blockNumber,
+          txHash: event.transactionHash,
+          logIndex: event.index
+        }))
+    }
+  }),
+
+  // The ABIs and token don't change, so support is checked once per session. Kept
+  // out of the contract keys so writes don't trigger a re-probe
+  permitSupport: (networkId, spenderName, method) => ({
+    queryKey: ['permitSupport', networkId, spenderName, method],
+    queryFn: () => checkPermitSupport(networkId, spenderName, method),
+    staleTime: Infinity
+  }),
+
+  allowance: (networkId, owner, spender) => ({
+    queryKey: ['KAIToken', networkId, 'allowance', owner, spender],
+    queryFn: async () => {
+      const contract = await getReadContract('KAIToken', networkId)
+      const allowance = await contract.allowance(owner, spender)
+      const decimals = await getDecimals(networkId)
+      return ethers.formatUnits(allowance, decimals)
+    }
+  }),
+
+  revenueStats: (networkId) => ({
+    queryKey: ['KAIRevenue', networkId, 'revenueStats'],
+    queryFn: async () => {
+      const contract = await getReadContract('KAIRevenue', networkId)
+      const decimals = await getDecimals(networkId)
+
+      const [totalRevenue, monthlyRevenue, alertBasic, alertUrgent, subBasic, subPremium] =
+        await multicall([
+          [contract, 'totalRevenue'],
+          [contract, 'monthlyRevenue'],
+          [contract, 'ALERT_BASIC'],
+          [contract, 'ALERT_URGENT'],
+          [contract, 'SUBSCRIPTION_BASIC'],
+          [contract, 'SUBSCRIPTION_PREMIUM']
+        ])
+
+      return {
+        totalRevenue: ethers.formatUnits(totalRevenue, decimals),
+        monthlyRevenue: ethers.formatUnits(monthlyRevenue, decimals),
+        pricing: {
+          alertBasic: ethers.formatUnits(alertBasic, decimals),
+          alertUrgent: ethers.formatUnits(alertUrgent, decimals),
+          subscriptionBasic: ethers.formatUnits(subBasic, decimals),
+          subscriptionPremium: ethers.formatUnits(subPremium, decimals)
+        }
+      }
+    }
+  }),
+
+  userStats: (networkId, address) => ({
+    queryKey: ['KAIRevenue', networkId, 'userStats', address],
+    queryFn: async () => {
+      const contract = await getReadContract('KAIRevenue', networkId)
+      const decimals = await getDecimals(networkId)
+
+      const [[alertCount, totalSpent, isSubscribed], hasActiveSub] = await multicall([
+        [contract, 'getUserStats', [address]],
+        [contract, 'hasActiveSubscription', [address]]
+      ])
+
+      return {
+        alertCount: Number(alertCount),
+        totalSpent: ethers.formatUnits(totalSpent, decimals),
+        isSubscribed,
+        hasActiveSubscription: hasActiveSub
+      }
+    }
+  }),
+
+  // Expiry of the user's most recent subscription, from SubscriptionCreated logs
+  subscriptionExpiry: (networkId, address) => ({
+    queryKey: ['KAIRevenue', networkId, 'subscriptionExpiry', address],
+    queryFn: async () => {
+      const events = (await getIndexedEvents(networkId, 'KAIRevenue', ['SubscriptionCreated']))
+        .filter(event => event.args.user.toLowerCase() === address.toLowerCase())
+      const latest = events[events.length - 1]
+      return latest ? Number(latest.args.expiresAt) : null
+    }
+  }),
+
+  stakingInfo: (networkId) => ({
+    queryKey: ['ClimateAlertStaking', networkId, 'stakingInfo'],
+    queryFn: async () => {
+      const contract = await getReadContract('ClimateAlertStaking', networkId)
+      const decimals = await getDecimals(networkId)
+
+      const [minimumStake, stakingDuration, totalStaked] = await multicall([
+        [contract, 'minimumStake'],
+        [contract, 'stakingDuration'],
+        [contract, 'totalStaked']
+      ])
+
+      return {
+        minimumStake: ethers.formatUnits(minimumStake, decimals),
+        stakingDuration: Number(stakingDuration),
+        totalStaked: ethers.formatUnits(totalStaked, decimals)
+      }
+    }
+  }),
+
+  userStake: (networkId, address) => ({
+    queryKey: ['ClimateAlertStaking', networkId, 'userStake', address],
+    queryFn: async () => {
+      const contract = await getReadContract('ClimateAlertStaking', networkId)
+      const decimals = await getDecimals(networkId)
+
+      const [[amount, timestamp, rewards], pendingRewards] = await multicall([
+        [contract, 'getStakeInfo', [address]],
+        [contract, 'calculateRewards', [address]]
+      ])
+
+      return {
+        stakedAmount: ethers.formatUnits(amount, decimals),
+        stakedAt: Number(timestamp),
+        rewards: ethers.formatUnits(rewards, decimals),
+        pendingRewards: ethers.formatUnits(pendingRewards, decimals)
+      }
+    }
+  }),
+
+  // Rewards accrue every block, so this is never served from cache
+  pendingRewards: (networkId, address) => ({
+    queryKey: ['ClimateAlertStaking', networkId, 'pendingRewards', address],
+    queryFn: async () => {
+      const contract = await getReadContract('ClimateAlertStaking', networkId)
+      const decimals = await getDecimals(networkId)
+      const pendingRewards = await contract.calculateRewards(address)
+      return ethers.formatUnits(pendingRewards, decimals)
+    },
+    staleTime: 0
+  }),
+
+  stakeHistory: (networkId, address) => ({
+    queryKey: ['ClimateAlertStaking', networkId, 'stakeHistory', address],
+    queryFn: async () => {
+      const [decimals, events] = await Promise.all([
+        getDecimals(networkId),
+        getIndexedEvents(networkId, 'ClimateAlertStaking', ['Staked', 'Unstaked', 'RewardsClaimed'])
+      ])
+      return events
+        .filter(event => event.args.user.toLowerCase() === address.toLowerCase())
+        .map(event => ({
+          type: event.eventName,
+          amount: ethers.formatUnits(event.args.amount, decimals),
+          blockNumber: event.blockNumber,
+          txHash: event.transactionHash,
+          logIndex: event.index
+        }))
+    }
+  }),
+
+  governanceInfo: (networkId) => ({
+    queryKey: ['KAIGovernance', networkId, 'governanceInfo'],
+    queryFn: async () => {
+      const contract = await getReadContract('KAIGovernance', networkId)
+      const decimals = await getDecimals(networkId)
+
+      const [proposalCount, quorumThreshold, votingPeriod] = await multicall([
+        [contract, 'proposalCount'],
+        [contract, 'quorumThreshold'],
+        [contract, 'votingPeriod']
+      ])
+
+      return {
+        proposalCount: Number(proposalCount),
+        quorumThreshold: ethers.formatUnits(quorumThreshold, decimals),
+        votingPeriod: Number(votingPeriod)
+      }
+    }
+  }),
+
+  proposal: (networkId, proposalId) => ({
+    queryKey: ['KAIGovernance', networkId, 'proposal', proposalId],
+    queryFn: async () => {
+      const contract = await getReadContract('KAIGovernance', networkId)
+      const decimals = await getDecimals(networkId)
+      const proposal = await contract.getProposal(proposalId)
+      return formatProposal(proposal, decimals)
+    }
+  }),
+
+  // Proposals in creation order, by the ids their ProposalCreated events carry
+  // rather than an assumed id base; pass a voter to include hasVoted
+  proposals: (networkId, voter) => ({
+    queryKey: ['KAIGovernance', networkId, 'proposals', voter],
+    queryFn: async () => {
+      const [contract, decimals, events] = await Promise.all([
+        getReadContract('KAIGovernance', networkId),
+        getDecimals(networkId),
+        getIndexedEvents(networkId, 'KAIGovernance', ['ProposalCreated'])
+      ])
+      const ids = events.map(event => event.args.proposalId)
+      if (ids.length === 0) return []
+
+      const results = await multicall([
+        ...ids.map(id => [contract, 'getProposal', [id]]),
+        ...(voter ? ids.map(id => [contract, 'hasVoted', [id, voter]]) : [])
+      ])
+      return ids.map((id, i) => ({
+        ...formatProposal(results[i], decimals),
+        hasVoted: voter ? results[ids.length + i] : false
+      }))
+    }
+  }),
+
+  hasVoted: (networkId, proposalId, voter) => ({
+    queryKey: ['KAIGovernance', networkId, 'hasVoted', proposalId, voter],
+    queryFn: async () => {
+      const contract = await getReadContract('KAIGovernance', networkId)
+      return await contract.hasVoted(proposalId, voter)
+    }
+  }),
+
+  votes: (networkId, proposalId) => ({
+    queryKey: ['KAIGovernance', networkId, 'votes', proposalId],
+    queryFn: async () => {
+      const [decimals, events] = await Promise.all([
+        getDecimals(networkId),
+        getIndexedEvents(networkId, 'KAIGovernance', ['VoteCast'])
+      ])
+      const votes = events.filter(event => Number(event.args.proposalId) === Number(proposalId))
+      if (votes.length === 0) return []
+
+      // Receipts split each weight into own and delegated power; contracts
+      // without delegation have no receipts, so delegatedWeight stays null
+      const contract = await getReadContract('KAIGovernance', networkId)
+      const receipts = await multicall(votes.map(event => [contract, 'getVoteReceipt', [proposalId, event.args.voter]]))
+        .catch(err => {
+          if (isMissingMethod(err)) return null
+          throw err
+        })
+
+      return votes.map((event, i) => ({
+        voter: event.args.voter,
+        support: event.args.support,
+        weight: ethers.formatUnits(event.args.weight, decimals),
+        delegatedWeight: receipts ? ethers.formatUnits(receipts[i].delegatedWeight, decimals) : null,
+        blockNumber: event.blockNumber,
+        txHash: event.transactionHash,
+        logIndex: event.index
+      }))
+    }
+  }),
+
+  // Who `account` delegates to (null when voting directly) and the power
+  // delegated to it; resolves to null on deployments without delegation
+  delegation: (networkId, account) => ({
+    queryKey: ['KAIGovernance', networkId, 'delegation', account],
+    queryFn: async () => {
+      const contract = await getReadContract('KAIGovernance', networkId)
+      const decimals = await getDecimals(networkId)
+
+      const results = await multicall([
+        [contract, 'delegates', [account]],
+        [contract, 'delegatedVotingPower', [account]]
+      ]).catch(err => {
+        if (isMissingMethod(err)) return null
+        throw err
+      })
+      if (!results) return null
+
+      const [delegate, receivedPower] = results
+
+      return {
+        delegate: delegate === ethers.ZeroAddress ? null : delegate,
+        receivedPower: ethers.formatUnits(receivedPower, decimals)
+      }
+    }
+  }),
+
+  vestingSchedule: (networkId, beneficiary) => ({
+    queryKey: ['KAIVesting', networkId, 'vestingSchedule', beneficiary],
+    queryFn: async () => {
+      const contract = await getReadContract('KAIVesting', networkId)
+      const decimals = await getDecimals(networkId)
+
+      const [schedule, releasable] = await multicall([
+        [contract, 'getVestingSchedule', [beneficiary]],
+        [contract, 'releasable', [beneficiary]]
+      ])
+
+      return {
+        ...formatVestingSchedule(schedule, decimals),
+        releasable: ethers.formatUnits(releasable, decimals)
+      }
+    }
+  }),
+
+  releasable: (networkId, beneficiary) => ({
+    queryKey: ['KAIVesting', networkId, 'releasable', beneficiary],
+    queryFn: async () => {
+      const contract = await getReadContract('KAIVesting', networkId)
+      const decimals = await getDecimals(networkId)
+      const releasable = await contract.releasable(beneficiary)
+      return ethers.formatUnits(releasable, decimals)
+    }
+  }),
+
+  releaseHistory: (networkId, beneficiary) => ({
+    queryKey: ['KAIVesting', networkId, 'releaseHistory', beneficiary],
+    queryFn: async () => {
+      const contract = await getReadContract('KAIVesting', networkId)
+      const [decimals, released] = await Promise.all([
+        getDecimals(networkId),
+        getIndexedEvents(networkId, 'KAIVesting', ['TokensReleased'])
+      ])
+      const events = released.filter(event => event.args.beneficiary.toLowerCase() === beneficiary.toLowerCase())
+
+      return await Promise.all(events.map(async (event) => {
+        const block = await contract.runner.provider.getBlock(event.blockNumber)
+        return {
+          amount: ethers.formatUnits(event.args.amount, decimals),
+          timestamp: block.timestamp,
+          blockNumber: event.blockNumber,
+          txHash: event.transactionHash
+        }
+      }))
+    }
+  }),
+
+  verifyEvidence: (networkId, evidenceHash) => ({
+    queryKey: ['KAI_LawEvidence', networkId, 'verifyEvidence', evidenceHash],
+    queryFn: async () => {
+      const contract = await getReadContract('KAI_LawEvidence', networkId)
+      const [exists, timestamp, submitter] = await contract.verifyEvidence(evidenceHash)
+      if (!exists) return { exists, timestamp: 0, submitter: null }
+
+      const record = formatEvidence(await contract.getEvidence(evidenceHash))
+      return {
+        exists,
+        timestamp: Number(timestamp),
+        submitter,
+        description: record.description,
+        verified: record.verified
+      }
+    }
+  }),
+
+  evidence: (networkId, evidenceHash) => ({
+    queryKey: ['KAI_LawEvidence', networkId, 'evidence', evidenceHash],
+    queryFn: async () => {
+      const contract = await getReadContract('KAI_LawEvidence', networkId)
+      const evidence = await contract.getEvidence(evidenceHash)
+      return formatEvidence(evidence)
+    }
+  }),
+
+  policy: (networkId, policyId) => ({
+    queryKey: ['KAI_Agriculture', networkId, 'policy', policyId],
+    queryFn: async () => {
+      const contract = await getReadContract('KAI_Agriculture', networkId)
+      const policy = await contract.getPolicyDetails(policyId)
+      return formatPolicy(policy)
+    }
+  }),
+
+  // Policies created by the farmer, with claim status from ClaimFiled/ClaimPaid logs
+  policies: (networkId, farmer) => ({
+    queryKey: ['KAI_Agriculture', networkId, 'policies', farmer],
+    queryFn: async () => {
+      const events = await getIndexedEvents(networkId, 'KAI_Agriculture')
+      const created = events.filter(e => e.eventName === 'PolicyCreated')
+      const filed = events.filter(e => e.eventName === 'ClaimFiled')
+      const paid = events.filter(e => e.eventName === 'ClaimPaid')
+
+      const claims = Object.fromEntries(filed.map(e => [Number(e.args.policyId), e.args.evidenceHash]))
+      const payouts = Object.fromEntries(paid.map(e => [Number(e.args.policyId), ethers.formatEther(e.args.amount)]))
+
+      return created
+        .filter(e => e.args.farmer.toLowerCase() === farmer.toLowerCase())
+        .map(e => {
+          const policyId = Number(e.args.policyId)
+          return {
+            id: policyId,
+            cropType: e.args.cropType,
+            coverage: ethers.formatEther(e.args.coverage),
+            evidenceHash: claims[policyId] || null,
+            payout: payouts[policyId] || null,
+            status: payouts[policyId] ? 'paid' : claims[policyId] ? 'claimed' : 'active',
+            blockNumber: e.blockNumber,
+            txHash: e.transactionHash
+          }
+        })
+    }
+  }),
+
+  inspectionFee: (networkId) => ({
+    queryKey: ['KaiHealth', networkId, 'inspectionFee'],
+    queryFn: async () => {
+      const contract = await getReadContract('KaiHealth', networkId)
+      const fee = await contract.inspectionFee()
+      return ethers.formatEther(fee)
+    }
+  }),
+
+  inspection: (networkId, inspectionId) => ({
+    queryKey: ['KaiHealth', networkId, 'inspection', inspectionId],
+    queryFn: async () => {
+      const contract = await getReadContract('KaiHealth', networkId)
+      const inspection = await contract.getInspection(inspectionId)
+      return formatInspection(inspection)
+    }
+  }),
+
+  // Inspections with status from InspectionCompleted/FacilityCertified logs;
+  // pass a requester to only include their requests
+  inspections: (networkId, requester) => ({
+    queryKey: ['KaiHealth', networkId, 'inspections', requester],
+    queryFn: async () => {
+      const events = await getIndexedEvents(networkId, 'KaiHealth')
+      const requested = events.filter(e => e.eventName === 'InspectionRequested')
+      const completed = events.filter(e => e.eventName === 'InspectionCompleted')
+      const certified = events.filter(e => e.eventName === 'FacilityCertified')
+
+      const results = Object.fromEntries(completed.map(e => [Number(e.args.id), e.args.passed]))
+      const certificates = Object.fromEntries(certified.map(e => [Number(e.args.id), e.args.certificateHash]))
+
+      return requested
+        .filter(e => !requester || e.args.requester.toLowerCase() === requester.toLowerCase())
+        .map(e => {
+          const id = Number(e.args.id)
+          const passed = results[id]
+          return {
+            id,
+            requester: e.args.requester,
+            facilityName: e.args.facilityName,
+            certificateHash: certificates[id] || null,
+            status: getInspectionStatus(passed !== undefined, passed, certificates[id]),
+            blockNumber: e.blockNumber,
+            txHash: e.transactionHash
+          }
+        })
+    }
+  }),
+
+  isInspector: (networkId, address) => ({
+    queryKey: ['KaiHealth', networkId, 'isInspector', address],
+    queryFn: async () => {
+      const contract = await getReadContract('KaiHealth', networkId)
+      const role = await contract.INSPECTOR_ROLE()
+      return await contract.hasRole(role, address)
+    }
+  }),
+
+  emergencyFund: (networkId) => ({
+    queryKey: ['KaiDisasterResponse', networkId, 'emergencyFund'],
+    queryFn: async () => {
+      const contract = await getReadContract('KaiDisasterResponse', networkId)
+      const decimals = await getDecimals(networkId)
+      const fund = await contract.emergencyFund()
+      return ethers.formatUnits(fund, decimals)
+    }
+  }),
+
+  incident: (networkId, incidentId) => ({
+    queryKey: ['KaiDisasterResponse', networkId, 'incident', incidentId],
+    queryFn: async () => {
+      const contract = await getReadContract('KaiDisasterResponse', networkId)
+      const decimals = await getDecimals(networkId)
+      const incident = await contract.getIncident(incidentId)
+      return formatIncident(incident, decimals)
+    }
+  }),
+
+  // Reported incidents with their AidRequested and AidDisbursed history
+  incidents: (networkId) => ({
+    queryKey: ['KaiDisasterResponse', networkId, 'incidents'],
+    queryFn: async () => {
+      const [decimals, events] = await Promise.all([
+        getDecimals(networkId),
+        getIndexedEvents(networkId, 'KaiDisasterResponse')
+      ])
+      const reported = events.filter(e => e.eventName === 'IncidentReported')
+      const requested = events.filter(e => e.eventName === 'AidRequested')
+      const disbursed = events.filter(e => e.eventName === 'AidDisbursed')
+
+      const toAid = (e, account) => ({
+        account,
+        amount: ethers.formatUnits(e.args.amount, decimals),
+        blockNumber: e.blockNumber,
+        txHash: e.transactionHash
+      })
+
+      return reported.map(e => {
+        const id = Number(e.args.id)
+        return {
+          id,
+          disasterType: Number(e.args.disasterType),
+          location: e.args.location,
+          severity: Number(e.args.severity),
+          blockNumber: e.blockNumber,
+          txHash: e.transactionHash,
+          aidRequests: requested
+            .filter(r => Number(r.args.incidentId) === id)
+            .map(r => toAid(r, r.args.requester)),
+          disbursements: disbursed
+            .filter(d => Number(d.args.incidentId) === id)
+            .map(d => toAid(d, d.args.recipient))
+        }
+      })
+    }
+  }),
+
+  // getRiskLevel for every region/risk type pair, plus isHighRisk, keyed by region
+  riskLevels: (networkId, regions, riskTypes) => ({
+    queryKey: ['KAI_Oracle', networkId, 'riskLevels', regions, riskTypes],
+    queryFn: async () => {
+      const contract = await getReadContract('KAI_Oracle', networkId)
+      if (regions.length === 0) return {}
+
+      // One batch for the whole map: every region/risk type level, then isHighRisk per region
+      const results = await multicall([
+        ...regions.flatMap(region => riskTypes.map(riskType => [contract, 'getRiskLevel', [region, riskType]])),
+        ...regions.map(region => [contract, 'isHighRisk', [region]])
+      ])
+      const highRiskOffset = regions.length * riskTypes.length
+      return Object.fromEntries(regions.map((region, r) => [region, {
+        levels: Object.fromEntries(riskTypes.map((riskType, t) => [riskType, Number(results[r * riskTypes.length + t])])),
+        highRisk: results[highRiskOffset + r]
+      }]))
+    }
+  }),
+
+  latestData: (networkId, region) => ({
+    queryKey: ['KAI_Oracle', networkId, 'latestData', region],
+    queryFn: async () => {
+      const contract = await getReadContract('KAI_Oracle', networkId)
+      const data = await contract.getLatestData(region)
+      return formatOracleData(data)
+    }
+  })
+}
+
+/**
+ * Hook to manage wallet connection
+ */
+export function useWallet() {
+  const [isConnecting, setIsConnecting] = useState(false)
+  const [error, setError] = useState(null)
+  const walletInfo = useSyncExternalStore(subscribeWallets, getWalletState)
+  const { account, chainId, chainKnown } = walletInfo
+  const wallet = findWallet(walletInfo, walletInfo.selected)
+  const provider = wallet?.provider
+
+  // Pass an rdns from `wallets` to connect a specific wallet and remember it;
+  // a wallet that is no longer announced is an error, never another wallet.
+  // Resolves to the connected account, or null.
+  const connect = useCallback(async (rdns) => {
+    if (rdns && !getWalletState().wallets.some(w => w.info.rdns === rdns)) {
+      setError(reportContractError(new Error(`Wallet not available (${rdns}). Make sure it is installed and enabled`)))
+      return null
+    }
+
+    const target = findWallet(getWalletState(), rdns || getWalletState().selected)
+    if (!target) {
+      setError(reportContractError(new Error('No wallet found. Install a browser wallet such as MetaMask, Trust, Coinbase or Brave Wallet')))
+      return null
     }
 
     setIsConnecting(true)
     setError(null)
 
     try {
-      const accounts = await window.ethereum.request({
+      const accounts = await target.provider.request({
         method: 'eth_requestAccounts'
       })
-      setAccount(accounts[0])
-      return true
+      selectWallet(target.info.rdns)
+      setWalletState({ account: accounts[0] })
+      return accounts[0]
     } catch (err) {
-      setError(err.message)
-      return false
+      setError(reportContractError(err))
+      return null
     } finally {
       setIsConnecting(false)
     }
@@ -112,8 +1694,13 @@ export function useWallet() {
       return false
     }
 
+    if (!provider) {
+      setError(reportContractError(new Error('No wallet provider found')))
+      return false
+    }
+
     try {
-      await window.ethereum.request({
+      await provider.request({
         method: 'wallet_switchEthereumChain',
         params: [{ chainId: `0x${network.chainId.toString(16)}` }]
       })
@@ -122,7 +1709,7 @@ export function useWallet() {
       // Network not added, try to add it
       if (switchError.code === 4902) {
         try {
-          await window.ethereum.request({
+          await provider.request({
             method: 'wallet_addEthereumChain',
             params: [{
               chainId: `0x${network.chainId.toString(16)}`,
@@ -134,129 +1721,209 @@ export function useWallet() {
           })
           return true
         } catch (addError) {
-          setError(addError.message)
+          setError(reportContractError(addError))
           return false
         }
       }
-      setError(switchError.message)
+      setError(reportContractError(switchError))
       return false
     }
+  }, [provider])
+
+  const disconnect = useCallback(() => {
+    setWalletState({ account: null })
+  }, [])
+
+  const networkId = chainId ? getNetworkIdByChainId(chainId) : null
+
+  return {
+    account,
+    chainId,
+    networkId,
+    // Network for contractQueries, as in getReadNetworkId(); null until the
+    // wallet has reported its chain, so reads never start on the wrong network
+    readNetworkId: chainKnown ? networkId || DEFAULT_NETWORK : null,
+    wallets: walletInfo.wallets.map(w => w.info),
+    walletName: wallet?.info.name || null,
+    walletRdns: wallet?.info.rdns || null,
+    isSupportedNetwork: !chainId || !!networkId,
+    isConnecting,
+    error,
+    isConnected: !!account,
+    connect,
+    disconnect,
+    switchNetwork
+  }
+}
+
+/**
+ * Hook for KAI Token operations
+ */
+export function useKAIToken() {
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  const transfer = useCallback(async (to, amount) => {
+    setLoading(true)
+    setError(null)
+    try {
+      const contract = await getContract('KAIToken', true)
+      const decimals = await getDecimals()
+      const amountWei = ethers.parseUnits(amount.toString(), decimals)
+      const tx = await sendContractTransaction(contract, 'transfer', [to, amountWei], 'Transfer KAI')
+      return tx.hash
+    } catch (err) {
+      setError(reportContractError(err))
+      return null
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  const approve = useCallback(async (spender, amount) => {
+    setLoading(true)
+    setError(null)
+    try {
+      const contract = await getContract('KAIToken', true)
+      const decimals = await getDecimals()
+      const amountWei = ethers.parseUnits(amount.toString(), decimals)
+      const tx = await sendContractTransaction(contract, 'approve', [spender, amountWei], 'Approve KAI')
+      return tx.hash
+    } catch (err) {
+      setError(reportContractError(err))
+      return null
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  const burn = useCallback(async (amount, pillarId, reason) => {
+    setLoading(true)
+    setError(null)
+    try {
+      const contract = await getContract('KAIToken', true)
+      const decimals = await getDecimals()
+      const amountWei = ethers.parseUnits(amount.toString(), decimals)
+      const tx = await sendContractTransaction(contract, 'directBurn', [amountWei, pillarId, reason], 'Burn KAI')
+      return tx.hash
+    } catch (err) {
+      setError(reportContractError(err))
+      return null
+    } finally {
+      setLoading(false)
+    }
   }, [])
 
-  const disconnect = useCallback(() => {
-    setAccount(null)
-  }, [])
-
   return {
-    account,
-    chainId,
-    isConnecting,
+    loading,
     error,
-    isConnected: !!account,
-    connect,
-    disconnect,
-    switchNetwork
+    transfer,
+    approve,
+    burn
   }
 }
 
 /**
- * Hook for KAI Token operations
+ * Hook for Revenue/Subscription operations
  */
-export function useKAIToken() {
+export function useRevenue() {
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState(null)
 
-  const getBalance = useCallback(async (address) => {
+  const buyAlert = useCallback(async (alertType) => {
     setLoading(true)
     setError(null)
     try {
-      const contract = await getContract('KAIToken')
-      const balance = await contract.balanceOf(address)
-      const decimals = await contract.decimals()
-      return ethers.formatUnits(balance, decimals)
+      const contract = await getContract('KAIRevenue', true)
+      const price = await contract[alertType === 0 ? 'ALERT_BASIC' : 'ALERT_URGENT']()
+      const permit = await preparePermit('KAIRevenue', 'buyAlertWithPermit', price)
+      const tx = permit
+        ? await sendContractTransaction(contract, 'buyAlertWithPermit', [alertType, permit.deadline, permit.v, permit.r, permit.s], 'Buy alert')
+        : await sendContractTransaction(contract, 'buyAlert', [alertType], 'Buy alert')
+      return { txHash: tx.hash }
     } catch (err) {
-      setError(err.message)
-      return '0'
+      setError(reportContractError(err))
+      return null
     } finally {
       setLoading(false)
     }
   }, [])
 
-  const getTokenInfo = useCallback(async () => {
+  const subscribe = useCallback(async (plan) => {
     setLoading(true)
     setError(null)
     try {
-      const contract = await getContract('KAIToken')
-      const [name, symbol, decimals, totalSupply, totalBurned] = await Promise.all([
-        contract.name(),
-        contract.symbol(),
-        contract.decimals(),
-        contract.totalSupply(),
-        contract.totalBurned()
-      ])
-      return {
-        name,
-        symbol,
-        decimals: Number(decimals),
-        totalSupply: ethers.formatUnits(totalSupply, decimals),
-        totalBurned: ethers.formatUnits(totalBurned, decimals)
-      }
+      const contract = await getContract('KAIRevenue', true)
+      const tx = await sendContractTransaction(contract, 'subscribe', [plan], 'Subscribe')
+      return { txHash: tx.hash }
     } catch (err) {
-      setError(err.message)
+      setError(reportContractError(err))
       return null
     } finally {
       setLoading(false)
     }
   }, [])
 
-  const transfer = useCallback(async (to, amount) => {
+  return {
+    loading,
+    error,
+    buyAlert,
+    subscribe,
+  }
+}
+
+/**
+ * Hook for Staking operations
+ */
+export function useStaking() {
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  const stake = useCallback(async (amount) => {
     setLoading(true)
     setError(null)
     try {
-      const contract = await getContract('KAIToken', true)
-      const decimals = await contract.decimals()
+      const contract = await getContract('ClimateAlertStaking', true)
+      const decimals = await getDecimals()
       const amountWei = ethers.parseUnits(amount.toString(), decimals)
-      const tx = await contract.transfer(to, amountWei)
-      await tx.wait()
+
+      const permit = await preparePermit('ClimateAlertStaking', 'stakeWithPermit', amountWei)
+      const tx = permit
+        ? await sendContractTransaction(contract, 'stakeWithPermit', [amountWei, permit.deadline, permit.v, permit.r, permit.s], 'Stake KAI')
+        : await sendContractTransaction(contract, 'stake', [amountWei], 'Stake KAI')
       return tx.hash
     } catch (err) {
-      setError(err.message)
+      setError(reportContractError(err))
       return null
     } finally {
       setLoading(false)
     }
   }, [])
 
-  const approve = useCallback(async (spender, amount) => {
+  const unstake = useCallback(async () => {
     setLoading(true)
     setError(null)
     try {
-      const contract = await getContract('KAIToken', true)
-      const decimals = await contract.decimals()
-      const amountWei = ethers.parseUnits(amount.toString(), decimals)
-      const tx = await contract.approve(spender, amountWei)
-      await tx.wait()
+      const contract = await getContract('ClimateAlertStaking', true)
+      const tx = await sendContractTransaction(contract, 'unstake', [], 'Unstake KAI')
       return tx.hash
     } catch (err) {
-      setError(err.message)
+      setError(reportContractError(err))
       return null
     } finally {
       setLoading(false)
     }
   }, [])
 
-  const burn = useCallback(async (amount, pillarId, reason) => {
+  const claimRewards = useCallback(async () => {
     setLoading(true)
     setError(null)
     try {
-      const contract = await getContract('KAIToken', true)
-      const decimals = await contract.decimals()
-      const amountWei = ethers.parseUnits(amount.toString(), decimals)
-      const tx = await contract.directBurn(amountWei, pillarId, reason)
-      await tx.wait()
+      const contract = await getContract('ClimateAlertStaking', true)
+      const tx = await sendContractTransaction(contract, 'claimRewards', [], 'Claim staking rewards')
       return tx.hash
     } catch (err) {
-      setError(err.message)
+      setError(reportContractError(err))
       return null
     } finally {
       setLoading(false)
@@ -266,108 +1933,88 @@ export function useKAIToken() {
   return {
     loading,
     error,
-    getBalance,
-    getTokenInfo,
-    transfer,
-    approve,
-    burn
+    stake,
+    unstake,
+    claimRewards
   }
 }
 
 /**
- * Hook for Revenue/Subscription operations
+ * Hook for Governance operations
  */
-export function useRevenue() {
+export function useGovernance() {
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState(null)
 
-  const getRevenueStats = useCallback(async () => {
+  const createProposal = useCallback(async (title, description, proposalType) => {
     setLoading(true)
     setError(null)
     try {
-      const contract = await getContract('KAIRevenue')
-      const token = await getContract('KAIToken')
-      const decimals = await token.decimals()
-
-      const [totalRevenue, monthlyRevenue, alertBasic, alertUrgent, subBasic, subPremium] =
-        await Promise.all([
-          contract.totalRevenue(),
-          contract.monthlyRevenue(),
-          contract.ALERT_BASIC(),
-          contract.ALERT_URGENT(),
-          contract.SUBSCRIPTION_BASIC(),
-          contract.SUBSCRIPTION_PREMIUM()
-        ])
-
-      return {
-        totalRevenue: ethers.formatUnits(totalRevenue, decimals),
-        monthlyRevenue: ethers.formatUnits(monthlyRevenue, decimals),
-        pricing: {
-          alertBasic: ethers.formatUnits(alertBasic, decimals),
-          alertUrgent: ethers.formatUnits(alertUrgent, decimals),
-          subscriptionBasic: ethers.formatUnits(subBasic, decimals),
-          subscriptionPremium: ethers.formatUnits(subPremium, decimals)
-        }
-      }
+      const contract = await getContract('KAIGovernance', true)
+      const tx = await sendContractTransaction(contract, 'propose', [title, description, proposalType], 'Create proposal')
+      return { txHash: tx.hash }
     } catch (err) {
-      setError(err.message)
+      setError(reportContractError(err))
       return null
     } finally {
       setLoading(false)
     }
   }, [])
 
-  const buyAlert = useCallback(async (alertType) => {
+  const vote = useCallback(async (proposalId, support) => {
     setLoading(true)
     setError(null)
     try {
-      const contract = await getContract('KAIRevenue', true)
-      const tx = await contract.buyAlert(alertType)
-      const receipt = await tx.wait()
-      return { txHash: tx.hash, receipt }
+      const contract = await getContract('KAIGovernance', true)
+      const tx = await sendContractTransaction(contract, 'vote', [proposalId, support], `Vote on proposal #${proposalId}`)
+      return tx.hash
     } catch (err) {
-      setError(err.message)
+      setError(reportContractError(err))
       return null
     } finally {
       setLoading(false)
     }
   }, [])
 
-  const subscribe = useCallback(async (plan) => {
+  const executeProposal = useCallback(async (proposalId) => {
     setLoading(true)
     setError(null)
     try {
-      const contract = await getContract('KAIRevenue', true)
-      const tx = await contract.subscribe(plan)
-      const receipt = await tx.wait()
-      return { txHash: tx.hash, receipt }
+      const contract = await getContract('KAIGovernance', true)
+      const tx = await sendContractTransaction(contract, 'executeProposal', [proposalId], `Execute proposal #${proposalId}`)
+      return tx.hash
     } catch (err) {
-      setError(err.message)
+      setError(reportContractError(err))
       return null
     } finally {
       setLoading(false)
     }
   }, [])
 
-  const getUserStats = useCallback(async (address) => {
+  const delegate = useCallback(async (delegatee) => {
     setLoading(true)
     setError(null)
     try {
-      const contract = await getContract('KAIRevenue')
-      const token = await getContract('KAIToken')
-      const decimals = await token.decimals()
-
-      const [alertCount, totalSpent, isSubscribed] = await contract.getUserStats(address)
-      const hasActiveSub = await contract.hasActiveSubscription(address)
+      const contract = await getContract('KAIGovernance', true)
+      const tx = await sendContractTransaction(contract, 'delegate', [delegatee], 'Delegate votes')
+      return tx.hash
+    } catch (err) {
+      setError(reportContractError(err))
+      return null
+    } finally {
+      setLoading(false)
+    }
+  }, [])
 
-      return {
-        alertCount: Number(alertCount),
-        totalSpent: ethers.formatUnits(totalSpent, decimals),
-        isSubscribed,
-        hasActiveSubscription: hasActiveSub
-      }
+  const undelegate = useCallback(async () => {
+    setLoading(true)
+    setError(null)
+    try {
+      const contract = await getContract('KAIGovernance', true)
+      const tx = await sendContractTransaction(contract, 'undelegate', [], 'Undelegate votes')
+      return tx.hash
     } catch (err) {
-      setError(err.message)
+      setError(reportContractError(err))
       return null
     } finally {
       setLoading(false)
@@ -377,118 +2024,157 @@ export function useRevenue() {
   return {
     loading,
     error,
-    getRevenueStats,
-    buyAlert,
-    subscribe,
-    getUserStats
+    createProposal,
+    vote,
+    executeProposal,
+    delegate,
+    undelegate
   }
 }
 
 /**
- * Hook for Staking operations
+ * Hook for Vesting operations
  */
-export function useStaking() {
+export function useVesting() {
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState(null)
 
-  const getStakingInfo = useCallback(async () => {
+  const release = useCallback(async (beneficiary) => {
     setLoading(true)
     setError(null)
     try {
-      const contract = await getContract('ClimateAlertStaking')
-      const token = await getContract('KAIToken')
-      const decimals = await token.decimals()
-
-      const [minimumStake, stakingDuration, totalStaked] = await Promise.all([
-        contract.minimumStake(),
-        contract.stakingDuration(),
-        contract.totalStaked()
-      ])
-
-      return {
-        minimumStake: ethers.formatUnits(minimumStake, decimals),
-        stakingDuration: Number(stakingDuration),
-        totalStaked: ethers.formatUnits(totalStaked, decimals)
-      }
+      const contract = await getContract('KAIVesting', true)
+      const tx = await sendContractTransaction(contract, 'release', [beneficiary], 'Release vested KAI')
+      return tx.hash
     } catch (err) {
-      setError(err.message)
+      setError(reportContractError(err))
       return null
     } finally {
       setLoading(false)
     }
   }, [])
 
-  const getUserStake = useCallback(async (address) => {
+  return {
+    loading,
+    error,
+    release
+  }
+}
+
+/**
+ * Hook for Law / Evidence registry operations
+ */
+export function useLawEvidence() {
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  const submitEvidence = useCallback(async (evidenceHash, description) => {
     setLoading(true)
     setError(null)
     try {
-      const contract = await getContract('ClimateAlertStaking')
-      const token = await getContract('KAIToken')
-      const decimals = await token.decimals()
+      const contract = await getContract('KAI_LawEvidence', true)
+      const tx = await sendContractTransaction(contract, 'submitEvidence', [evidenceHash, description], 'Register evidence')
+      return { txHash: tx.hash }
+    } catch (err) {
+      setError(reportContractError(err))
+      return null
+    } finally {
+      setLoading(false)
+    }
+  }, [])
 
-      const [amount, timestamp, rewards] = await contract.getStakeInfo(address)
-      const pendingRewards = await contract.calculateRewards(address)
+  return {
+    loading,
+    error,
+    submitEvidence
+  }
+}
 
-      return {
-        stakedAmount: ethers.formatUnits(amount, decimals),
-        stakedAt: Number(timestamp),
-        rewards: ethers.formatUnits(rewards, decimals),
-        pendingRewards: ethers.formatUnits(pendingRewards, decimals)
-      }
+/**
+ * Hook for Agriculture insurance operations
+ */
+export function useAgriculture() {
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  // coverage and premium are denominated in the network's native currency
+  const createPolicy = useCallback(async (cropType, coverage, region, premium) => {
+    setLoading(true)
+    setError(null)
+    try {
+      const contract = await getContract('KAI_Agriculture', true)
+      const tx = await sendContractTransaction(
+        contract,
+        'createPolicy',
+        [cropType, ethers.parseEther(coverage.toString()), region],
+        'Create crop policy',
+        { value: ethers.parseEther(premium.toString()) }
+      )
+      return { txHash: tx.hash }
     } catch (err) {
-      setError(err.message)
+      setError(reportContractError(err))
       return null
     } finally {
       setLoading(false)
     }
   }, [])
 
-  const stake = useCallback(async (amount) => {
+  const claimPolicy = useCallback(async (policyId, evidenceHash) => {
     setLoading(true)
     setError(null)
     try {
-      const contract = await getContract('ClimateAlertStaking', true)
-      const token = await getContract('KAIToken')
-      const decimals = await token.decimals()
-      const amountWei = ethers.parseUnits(amount.toString(), decimals)
-
-      const tx = await contract.stake(amountWei)
-      await tx.wait()
+      const contract = await getContract('KAI_Agriculture', true)
+      const tx = await sendContractTransaction(contract, 'claimPolicy', [policyId, evidenceHash], `Claim policy #${policyId}`)
       return tx.hash
     } catch (err) {
-      setError(err.message)
+      setError(reportContractError(err))
       return null
     } finally {
       setLoading(false)
     }
   }, [])
 
-  const unstake = useCallback(async () => {
+  return {
+    loading,
+    error,
+    createPolicy,
+    claimPolicy
+  }
+}
+
+/**
+ * Hook for Health inspection operations
+ */
+export function useHealth() {
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  // Pays the current on-chain inspectionFee with the request
+  const requestInspection = useCallback(async (facilityName, location) => {
     setLoading(true)
     setError(null)
     try {
-      const contract = await getContract('ClimateAlertStaking', true)
-      const tx = await contract.unstake()
-      await tx.wait()
-      return tx.hash
+      const contract = await getContract('KaiHealth', true)
+      const fee = await contract.inspectionFee()
+      const tx = await sendContractTransaction(contract, 'requestInspection', [facilityName, location], 'Request inspection', { value: fee })
+      return { txHash: tx.hash }
     } catch (err) {
-      setError(err.message)
+      setError(reportContractError(err))
       return null
     } finally {
       setLoading(false)
     }
   }, [])
 
-  const claimRewards = useCallback(async () => {
+  const certifyFacility = useCallback(async (inspectionId, certificateHash) => {
     setLoading(true)
     setError(null)
     try {
-      const contract = await getContract('ClimateAlertStaking', true)
-      const tx = await contract.claimRewards()
-      await tx.wait()
+      const contract = await getContract('KaiHealth', true)
+      const tx = await sendContractTransaction(contract, 'certifyFacility', [inspectionId, certificateHash], `Certify inspection #${inspectionId}`)
       return tx.hash
     } catch (err) {
-      setError(err.message)
+      setError(reportContractError(err))
       return null
     } finally {
       setLoading(false)
@@ -498,110 +2184,153 @@ export function useStaking() {
   return {
     loading,
     error,
-    getStakingInfo,
-    getUserStake,
-    stake,
-    unstake,
-    claimRewards
+    requestInspection,
+    certifyFacility
   }
 }
 
 /**
- * Hook for Governance operations
+ * Hook for Disaster Response operations
  */
-export function useGovernance() {
+export function useDisasterResponse() {
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState(null)
 
-  const getGovernanceInfo = useCallback(async () => {
+  const reportIncident = useCallback(async (disasterType, location, severity, description) => {
     setLoading(true)
     setError(null)
     try {
-      const contract = await getContract('KAIGovernance')
-      const token = await getContract('KAIToken')
-      const decimals = await token.decimals()
-
-      const [proposalCount, quorumThreshold, votingPeriod] = await Promise.all([
-        contract.proposalCount(),
-        contract.quorumThreshold(),
-        contract.votingPeriod()
-      ])
-
-      return {
-        proposalCount: Number(proposalCount),
-        quorumThreshold: ethers.formatUnits(quorumThreshold, decimals),
-        votingPeriod: Number(votingPeriod)
-      }
+      const contract = await getContract('KaiDisasterResponse', true)
+      const tx = await sendContractTransaction(contract, 'reportIncident', [disasterType, location, severity, description], 'Report incident')
+      return { txHash: tx.hash }
     } catch (err) {
-      setError(err.message)
+      setError(reportContractError(err))
       return null
     } finally {
       setLoading(false)
     }
   }, [])
 
-  const createProposal = useCallback(async (title, description, proposalType) => {
+  const requestAid = useCallback(async (incidentId, amount, reason) => {
     setLoading(true)
     setError(null)
     try {
-      const contract = await getContract('KAIGovernance', true)
-      const tx = await contract.propose(title, description, proposalType)
-      const receipt = await tx.wait()
-      return { txHash: tx.hash, receipt }
+      const contract = await getContract('KaiDisasterResponse', true)
+      const decimals = await getDecimals()
+      const amountWei = ethers.parseUnits(amount.toString(), decimals)
+      const tx = await sendContractTransaction(contract, 'requestAid', [incidentId, amountWei, reason], `Request aid for incident #${incidentId}`)
+      return tx.hash
     } catch (err) {
-      setError(err.message)
+      setError(reportContractError(err))
       return null
     } finally {
       setLoading(false)
     }
   }, [])
 
-  const vote = useCallback(async (proposalId, support) => {
-    setLoading(true)
+  return {
+    loading,
+    error,
+    reportIncident,
+    requestAid
+  }
+}
+
+/**
+ * Hook for Oracle risk data
+ */
+export function useOracle() {
+  const [error, setError] = useState(null)
+
+  // Invalidates the oracle queries and calls onEvent, if given, on DataUpdated/AlertTriggered;
+  // resolves to an unsubscribe function. region is an indexed string, so events only
+  // carry its hash - callers should refetch.
+  const watchOracle = useCallback(async (onEvent) => {
+    try {
+      const contract = await getContract('KAI_Oracle')
+      const handleEvent = (...args) => {
+        queryClient.invalidateQueries({ queryKey: ['KAI_Oracle'] })
+        onEvent?.(...args)
+      }
+      await contract.on('DataUpdated', handleEvent)
+      await contract.on('AlertTriggered', handleEvent)
+      return () => contract.removeAllListeners()
+    } catch (err) {
+      setError(decodeContractError(err).message)
+      return () => {}
+    }
+  }, [])
+
+  return {
+    error,
+    watchOracle
+  }
+}
+
+/**
+ * Hook for the persistent transaction tracker
+ */
+export function useTransactions() {
+  const list = useSyncExternalStore(subscribeTransactions, getTransactions)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    resumeTransactions()
+  }, [])
+
+  const speedUp = useCallback(async (id) => {
     setError(null)
     try {
-      const contract = await getContract('KAIGovernance', true)
-      const tx = await contract.vote(proposalId, support)
-      await tx.wait()
-      return tx.hash
+      return await replaceTransaction(id, false)
     } catch (err) {
-      setError(err.message)
+      setError(reportContractError(err))
       return null
-    } finally {
-      setLoading(false)
     }
   }, [])
 
-  const executeProposal = useCallback(async (proposalId) => {
-    setLoading(true)
+  const cancel = useCallback(async (id) => {
     setError(null)
     try {
-      const contract = await getContract('KAIGovernance', true)
-      const tx = await contract.executeProposal(proposalId)
-      await tx.wait()
-      return tx.hash
+      return await replaceTransaction(id, true)
     } catch (err) {
-      setError(err.message)
+      setError(reportContractError(err))
       return null
-    } finally {
-      setLoading(false)
     }
   }, [])
 
+  const clearSettled = useCallback(() => {
+    setTransactions(entries => entries.filter(entry => entry.status === 'pending'))
+  }, [])
+
+  // Calls listener when a tracked transaction settles (confirmed, failed,
+  // replaced or cancelled); returns an unsubscribe function
+  const watchSettled = useCallback((listener) => {
+    txSettledListeners.add(listener)
+    return () => txSettledListeners.delete(listener)
+  }, [])
+
   return {
-    loading,
     error,
-    getGovernanceInfo,
-    createProposal,
-    vote,
-    executeProposal
+    transactions: list,
+    pendingCount: list.filter(entry => entry.status === 'pending').length,
+    speedUp,
+    cancel,
+    clearSettled,
+    watchSettled
   }
 }
 
 export default {
   useWallet,
+  useTransactions,
   useKAIToken,
   useRevenue,
   useStaking,
-  useGovernance
+  useGovernance,
+  useVesting,
+  useLawEvidence,
+  useAgriculture,
+  useHealth,
+  useDisasterResponse,
+  useOracle
 }
@@ -1,10 +1,21 @@
 import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
+import { QueryClientProvider } from '@tanstack/react-query'
 import './index.css'
 import App from './App.jsx'
+import { loadDeployments, validateConfig } from './contracts/config'
+import { queryClient } from './hooks/useContracts'
 
-createRoot(document.getElementById('root')).render(
-  <StrictMode>
-    <App />
-  </StrictMode>,
-)
+// Resolve contract addresses before the first render so hooks see the final config
+// (loadDeployments gives up on a slow manifest after a few seconds),
+// then validate it so missing or invalid addresses are reported up front
+loadDeployments().then(() => {
+  const missingContracts = validateConfig()
+  createRoot(document.getElementById('root')).render(
+    <StrictMode>
+      <QueryClientProvider client={queryClient}>
+        <App missingContracts={missingContracts} />
+      </QueryClientProvider>
+    </StrictMode>,
+  )
+})